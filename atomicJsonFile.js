@@ -0,0 +1,88 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'atomicJsonFile' });
+
+// A JSON state file written through a synced temp file and a rename, like the JSON URL store
+// (see storage/jsonBackend.js), so a crash never leaves it empty or half written. Writes are
+// serialized; calls arriving while a write is running are coalesced into a single follow-up
+// write of the latest state. getData() returns what to write.
+class AtomicJsonFile {
+    constructor(filePath, getData) {
+        this.filePath = filePath;
+        this.getData = getData;
+        this.pendingWrite = null;
+        this.dirty = false;
+    }
+
+    // Returns the parsed file, or null when it doesn't exist. A corrupt file is moved aside
+    // rather than overwritten so its contents can still be recovered by hand.
+    async read() {
+        try {
+            return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                const corruptFile = `${this.filePath}.corrupt-${Date.now()}`;
+                log.error(`${this.filePath} is unreadable, moved to ${corruptFile}: ${error.message}`);
+                await fs.rename(this.filePath, corruptFile).catch(() => {});
+            }
+            return null;
+        }
+    }
+
+    async writeAtomic() {
+        const tempFile = `${this.filePath}.tmp`;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const handle = await fs.open(tempFile, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(this.getData(), null, 2));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tempFile, this.filePath);
+        await this.syncDirectory();
+    }
+
+    // Makes the rename itself durable. Not every platform can open a directory (Windows), the
+    // file contents are synced either way.
+    async syncDirectory() {
+        let handle;
+        try {
+            handle = await fs.open(path.dirname(this.filePath), 'r');
+            await handle.sync();
+        } catch (error) {
+            log.debug(`Could not sync the directory of ${this.filePath}: ${error.message}`);
+        } finally {
+            await handle?.close();
+        }
+    }
+
+    // Resolves once the latest state is on disk
+    persist() {
+        this.dirty = true;
+        if (!this.pendingWrite) {
+            this.pendingWrite = (async () => {
+                try {
+                    while (this.dirty) {
+                        this.dirty = false;
+                        await this.writeAtomic();
+                    }
+                } finally {
+                    this.pendingWrite = null;
+                }
+            })();
+        }
+        return this.pendingWrite;
+    }
+
+    // Waits for a running write, its errors were already reported to whoever called persist()
+    async flush() {
+        if (this.pendingWrite) {
+            await this.pendingWrite.catch(() => {});
+        }
+    }
+}
+
+module.exports = AtomicJsonFile;
\ No newline at end of file
@@ -0,0 +1,150 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { EmbedBuilder } = require('discord.js');
+const { logger } = require('./logger');
+const { AUDIT_CHANNEL_ID, DATA_DIR } = require('./config');
+
+const log = logger.child({ module: 'auditLog' });
+
+const MAX_FIELD_LENGTH = 1024;
+const TYPE_TITLES = {
+    wrong_thread: 'Message removed: wrong thread',
+    duplicate_url: 'Duplicate URL',
+    rate_limit: 'Rate limit hit',
+    stale_entry_deleted: 'Stale URL entry removed',
+    url_deleted: 'URL removed by moderator',
+    dispute_opened: 'URL ownership disputed',
+    dispute_approved: 'URL ownership transferred',
+    dispute_rejected: 'URL ownership dispute rejected',
+    handle_requested: 'Handle link requested',
+    handle_rejected: 'Handle link rejected',
+    handle_linked: 'Handle linked',
+    handle_unlinked: 'Handle unlinked',
+    urls_imported: 'URLs imported'
+};
+const TYPE_COLORS = {
+    wrong_thread: '#f2b518',
+    duplicate_url: '#ff0000',
+    rate_limit: '#ff9900',
+    stale_entry_deleted: '#808080',
+    url_deleted: '#0099ff',
+    dispute_opened: '#ff9900',
+    dispute_approved: '#00cc66',
+    dispute_rejected: '#808080',
+    handle_requested: '#ff9900',
+    handle_rejected: '#808080',
+    handle_linked: '#0099ff',
+    handle_unlinked: '#808080',
+    urls_imported: '#0099ff'
+};
+
+function truncate(text, maxLength = MAX_FIELD_LENGTH) {
+    return text.length > maxLength ? `${text.substring(0, maxLength - 3)}...` : text;
+}
+
+// Every moderation decision is appended to DATA_DIR/AUDIT_<main channel>.jsonl as one JSON object
+// per line and, when AUDIT_CHANNEL_ID is set, posted as an embed to the mod-log channel.
+// Failures are logged and swallowed, auditing never blocks the action itself.
+class AuditLog {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.channelId = options.channelId || AUDIT_CHANNEL_ID;
+        this.filePath = options.filePath
+            || path.join(DATA_DIR, `AUDIT_${process.env.MAIN_CHANNEL_ID || 'bot'}.jsonl`);
+        this.channel = null;
+        this.pendingWrite = Promise.resolve();
+    }
+
+    async init() {
+        if (!this.channelId) {
+            log.info('AUDIT_CHANNEL_ID is not set, audit events are only written to disk');
+            return;
+        }
+
+        this.channel = await this.client.channels.fetch(this.channelId).catch(() => null);
+        if (!this.channel || !this.channel.isTextBased()) {
+            log.error(`Audit channel ${this.channelId} not found or not a text channel`);
+            this.channel = null;
+            return;
+        }
+        log.info(`Posting audit events to #${this.channel.name}`);
+    }
+
+    // The parts of a message worth keeping once it has been deleted
+    describeMessage(message) {
+        return {
+            userId: message.author.id,
+            userTag: message.author.tag,
+            channelId: message.channel.id,
+            messageId: message.id,
+            content: message.content || null,
+            attachments: [...message.attachments.values()].map(attachment => ({
+                name: attachment.name,
+                url: attachment.url
+            }))
+        };
+    }
+
+    // event: { type, reason, ...details }, see TYPE_TITLES for the known types
+    async record(event) {
+        const entry = { timestamp: new Date().toISOString(), ...event };
+        await Promise.all([this.writeEntry(entry), this.postEntry(entry)]);
+    }
+
+    // Appends are chained so concurrent events never interleave within a line
+    writeEntry(entry) {
+        this.pendingWrite = this.pendingWrite
+            .then(() => fs.mkdir(path.dirname(this.filePath), { recursive: true }))
+            .then(() => fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`))
+            .catch(error => log.error(`Error writing audit event: ${error.message}`));
+        return this.pendingWrite;
+    }
+
+    buildEmbed(entry) {
+        const fields = [];
+        if (entry.userId) {
+            fields.push({ name: 'Member', value: `<@${entry.userId}> (${entry.userTag || entry.userId})`, inline: true });
+        }
+        if (entry.channelId) {
+            fields.push({ name: 'Channel', value: `<#${entry.channelId}>`, inline: true });
+        }
+        if (entry.action) {
+            fields.push({ name: 'Action', value: entry.action, inline: true });
+        }
+        if (entry.moderatorId) {
+            fields.push({ name: 'Moderator', value: `<@${entry.moderatorId}>`, inline: true });
+        }
+        if (entry.urls && entry.urls.length > 0) {
+            fields.push({ name: 'URLs', value: truncate(entry.urls.join('\n')) });
+        }
+        if (entry.content) {
+            fields.push({ name: 'Message Content', value: truncate(entry.content) });
+        }
+        if (entry.attachments && entry.attachments.length > 0) {
+            const attachmentList = entry.attachments.map(attachment => `[${attachment.name}](${attachment.url})`);
+            fields.push({ name: 'Attachments', value: truncate(attachmentList.join('\n')) });
+        }
+
+        return new EmbedBuilder()
+            .setColor(TYPE_COLORS[entry.type] || '#0099ff')
+            .setTitle(TYPE_TITLES[entry.type] || entry.type)
+            .setDescription(entry.reason || null)
+            .addFields(fields)
+            .setTimestamp(new Date(entry.timestamp));
+    }
+
+    async postEntry(entry) {
+        if (!this.channel) return;
+        try {
+            await this.channel.send({ embeds: [this.buildEmbed(entry)] });
+        } catch (error) {
+            log.error(`Error posting audit event: ${error.message}`);
+        }
+    }
+
+    async shutdown() {
+        await this.pendingWrite;
+    }
+}
+
+module.exports = AuditLog;
\ No newline at end of file
@@ -0,0 +1,198 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { ChannelType } = require('discord.js');
+const { logger } = require('./logger');
+const { createUrlRecord } = require('./urlRecord');
+const { BACKFILL_PAGE_DELAY, DATA_DIR } = require('./config');
+
+const log = logger.child({ module: 'backfill' });
+
+const PAGE_SIZE = 100;
+
+function compareSnowflakes(a, b) {
+    const diff = BigInt(a) - BigInt(b);
+    return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+}
+
+// Walks the complete message history of a channel (or every active and archived
+// thread of a forum) page by page. Per-thread cursors are persisted after every
+// page, so an interrupted run continues where it stopped and later runs only
+// fetch what was posted since.
+class ChannelBackfill {
+    constructor(client, urlRegex) {
+        this.client = client;
+        this.urlRegex = urlRegex;
+        this.running = new Set();
+    }
+
+    getCursorFile(channelId) {
+        return path.join(DATA_DIR, `BACKFILL_${channelId}.json`);
+    }
+
+    async loadCursors(channelId) {
+        try {
+            return JSON.parse(await fs.readFile(this.getCursorFile(channelId), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.error(`Unreadable backfill cursors for ${channelId}, starting over: ${error.message}`);
+            }
+            return {};
+        }
+    }
+
+    async saveCursors(channelId, cursors) {
+        const cursorFile = this.getCursorFile(channelId);
+        await fs.mkdir(DATA_DIR, { recursive: true });
+        await fs.writeFile(`${cursorFile}.tmp`, JSON.stringify(cursors, null, 2));
+        await fs.rename(`${cursorFile}.tmp`, cursorFile);
+    }
+
+    async resetCursors(channelId) {
+        await fs.unlink(this.getCursorFile(channelId)).catch(() => {});
+    }
+
+    async fetchThreads(channel) {
+        const threads = new Map();
+
+        const active = await channel.threads.fetchActive();
+        active.threads.forEach(thread => threads.set(thread.id, thread));
+
+        let before;
+        let hasMore = true;
+        while (hasMore) {
+            const archived = await channel.threads.fetchArchived({ type: 'public', before, limit: PAGE_SIZE });
+            archived.threads.forEach(thread => threads.set(thread.id, thread));
+            hasMore = archived.hasMore && archived.threads.size > 0;
+            before = archived.threads.last();
+            await this.pause();
+        }
+
+        return [...threads.values()];
+    }
+
+    pause() {
+        return new Promise(resolve => setTimeout(resolve, BACKFILL_PAGE_DELAY));
+    }
+
+    extractUrls(message, threadName) {
+        const foundUrls = message.content.match(this.urlRegex);
+        if (!foundUrls) return [];
+
+        return foundUrls.map(url => createUrlRecord(message, url, threadName));
+    }
+
+    // Newer messages are fetched first (everything after the newest seen message),
+    // then the walk continues backwards from the oldest seen message until the start.
+    // The cursor only moves past a page once handlePage has stored its URLs, so a page whose
+    // URLs failed to save is fetched again by the next run.
+    async backfillThread(thread, cursor, handlePage, persistCursors) {
+        const pages = [];
+        if (cursor.newestId) {
+            pages.push({ direction: 'after' });
+        }
+        if (!cursor.complete) {
+            pages.push({ direction: 'before' });
+        }
+
+        for (const { direction } of pages) {
+            let done = false;
+            while (!done) {
+                const options = { limit: PAGE_SIZE };
+                if (direction === 'after') {
+                    options.after = cursor.newestId;
+                } else if (cursor.oldestId) {
+                    options.before = cursor.oldestId;
+                }
+
+                const messages = await thread.messages.fetch(options);
+                const ids = [...messages.keys()].sort(compareSnowflakes);
+
+                if (ids.length > 0) {
+                    const urls = messages
+                        .filter(message => !message.author.bot)
+                        .map(message => this.extractUrls(message, thread.name))
+                        .flat();
+                    await handlePage(urls, messages.size);
+
+                    const oldestId = ids[0];
+                    const newestId = ids[ids.length - 1];
+                    if (!cursor.oldestId || compareSnowflakes(oldestId, cursor.oldestId) < 0) {
+                        cursor.oldestId = oldestId;
+                    }
+                    if (!cursor.newestId || compareSnowflakes(newestId, cursor.newestId) > 0) {
+                        cursor.newestId = newestId;
+                    }
+                }
+
+                done = messages.size < PAGE_SIZE;
+                if (direction === 'before' && done) {
+                    cursor.complete = true;
+                }
+                await persistCursors();
+                await this.pause();
+            }
+        }
+    }
+
+    // onUrls(urls) is awaited for every page that contains URLs,
+    // onProgress(progress) is called after every page.
+    async run(channelId, { onUrls, onProgress = () => {}, reset = false } = {}) {
+        if (this.running.has(channelId)) {
+            throw new Error(`A backfill for channel ${channelId} is already running`);
+        }
+
+        const channel = await this.client.channels.fetch(channelId);
+        if (!channel) {
+            throw new Error(`Channel not found: ${channelId}`);
+        }
+
+        this.running.add(channelId);
+        try {
+            if (reset) {
+                await this.resetCursors(channelId);
+            }
+            const cursors = await this.loadCursors(channelId);
+
+            const threads = channel.type === ChannelType.GuildForum
+                ? await this.fetchThreads(channel)
+                : [channel];
+
+            const progress = {
+                channelId,
+                threadsTotal: threads.length,
+                threadsDone: 0,
+                messages: 0,
+                urls: 0,
+                currentThread: null
+            };
+
+            for (const thread of threads) {
+                progress.currentThread = thread.name;
+                const cursor = cursors[thread.id] || (cursors[thread.id] = {});
+
+                try {
+                    await this.backfillThread(thread, cursor, async (urls, messageCount) => {
+                        if (urls.length > 0) {
+                            await onUrls(urls);
+                        }
+                        progress.messages += messageCount;
+                        progress.urls += urls.length;
+                        await onProgress({ ...progress });
+                    }, () => this.saveCursors(channelId, cursors));
+                } catch (error) {
+                    log.error(`Backfill of thread stopped: ${error.message}`, { channelId, threadId: thread.id });
+                }
+
+                progress.threadsDone++;
+                await onProgress({ ...progress });
+            }
+
+            log.info(`Backfilled ${progress.urls} URLs from ${progress.messages} messages in channel ${channelId}`);
+            return progress;
+        } finally {
+            this.running.delete(channelId);
+        }
+    }
+}
+
+module.exports = ChannelBackfill;
\ No newline at end of file
@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 // Database timeout configuration
 const DB_TIMEOUT_MINUTES = parseInt(process.env.DB_TIMEOUT) || 1; // Default to 1 minute
@@ -6,10 +7,152 @@ const DB_TIMEOUT = DB_TIMEOUT_MINUTES * 60 * 1000; // Convert to milliseconds
 
 // Rate limiting configuration
 const RATE_LIMIT_MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 5; // Default to 5 requests
-const RATE_LIMIT_COOLDOWN = parseInt(process.env.RATE_LIMIT_COOLDOWN) || 1000; // Default to 1 second
+const RATE_LIMIT_COOLDOWN = parseInt(process.env.RATE_LIMIT_COOLDOWN) || 1000; // Sliding window, default to 1 second
+const RATE_LIMIT_SCOPES = ['user', 'thread']; // Count per member across the forum, or per member and thread
+const RATE_LIMIT_SCOPE = (process.env.RATE_LIMIT_SCOPE || 'user').toLowerCase();
+// 'log', 'warn' (reply once per burst), 'delete' (warn and delete every message over the limit)
+// or 'timeout' (warn, time out the member and delete)
+const RATE_LIMIT_ACTION_TYPES = ['log', 'warn', 'delete', 'timeout'];
+const RATE_LIMIT_ACTION = (process.env.RATE_LIMIT_ACTION || 'warn').toLowerCase();
+const RATE_LIMIT_TIMEOUT_MINUTES = parseInt(process.env.RATE_LIMIT_TIMEOUT) || 5; // Default to 5 minutes
+const RATE_LIMIT_TIMEOUT = RATE_LIMIT_TIMEOUT_MINUTES * 60 * 1000; // Convert to milliseconds
+
+// URL storage configuration
+// 'sqlite' needs better-sqlite3, an optional dependency in package.json that 'json' doesn't need
+const URL_STORE_BACKEND = (process.env.URL_STORE_BACKEND || 'json').toLowerCase(); // 'json' or 'sqlite'
+const STORAGE_BACKUP_COUNT = parseInt(process.env.STORAGE_BACKUP_COUNT) || 5; // Default to 5 rolling backups
+const STORAGE_BACKUP_INTERVAL_MINUTES = parseInt(process.env.STORAGE_BACKUP_INTERVAL) || 60; // Default to 1 hour
+const STORAGE_BACKUP_INTERVAL = STORAGE_BACKUP_INTERVAL_MINUTES * 60 * 1000; // Convert to milliseconds
+// URLs older than this are deleted daily, except tombstones and URLs with an open dispute.
+// A backfilled history would be deleted again, so keep it on 0 when using backfill.
+const URL_RETENTION_DAYS = parseInt(process.env.URL_RETENTION_DAYS) || 0; // Default to 0, keep URLs forever
+const URL_RETENTION = URL_RETENTION_DAYS * 24 * 60 * 60 * 1000; // Convert to milliseconds
+
+// Runtime state (URL registries and their backups, backfill cursors, job queue, disputes, handle
+// links, member locales, audit events) lives here, kept out of git by .gitignore
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Forum routing configuration, see routing.example.json
+const ROUTING_CONFIG = process.env.ROUTING_CONFIG || path.join(__dirname, 'routing.json');
+
+// Wording and branding of the notices the bot posts, see messages.example.json
+const MESSAGE_TEMPLATES = process.env.MESSAGE_TEMPLATES || path.join(__dirname, 'messages.json');
+
+// Localization of member notices, see locales/
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en'; // Used when neither the member nor the forum sets one
+const MEMBER_LOCALES_FILE = process.env.MEMBER_LOCALES_FILE || path.join(DATA_DIR, 'MEMBER_LOCALES.json'); // Discord locales seen in interactions
+
+// Moderation configuration
+const MODERATOR_ROLE_ID = process.env.MODERATOR_ROLE_ID || null; // Role allowed to use /urls and !fetch links
+const AUDIT_CHANNEL_ID = process.env.AUDIT_CHANNEL_ID || null; // Mod-log channel for audit events, disk only when unset
+
+// Ownership disputes of duplicate URLs, disabled when DISPUTE_CHANNEL_ID is unset
+const DISPUTE_CHANNEL_ID = process.env.DISPUTE_CHANNEL_ID || null; // Moderator queue receiving the claims
+const DISPUTES_FILE = process.env.DISPUTES_FILE || path.join(DATA_DIR, 'DISPUTES.json');
+const DISPUTE_WINDOW_HOURS = parseInt(process.env.DISPUTE_WINDOW) || 24; // Default to 24 hours to contest a warning
+const DISPUTE_WINDOW = DISPUTE_WINDOW_HOURS * 60 * 60 * 1000; // Convert to milliseconds
+
+// Social handles members linked with /handles, used to tell who created a post
+const HANDLE_LINKS_FILE = process.env.HANDLE_LINKS_FILE || path.join(DATA_DIR, 'HANDLE_LINKS.json');
+
+// Duplicate URL enforcement configuration
+// Actions: 'log' (log only), 'warn' (reply), 'delete' (reply and delete the message),
+// 'delete_dm' (delete the message and DM the warning), 'timeout' (reply, delete and time out the member)
+const DUPLICATE_ACTION_TYPES = ['log', 'warn', 'delete', 'delete_dm', 'timeout'];
+const DUPLICATE_ACTIONS = {
+    otherAuthor: (process.env.DUPLICATE_OTHER_AUTHOR_ACTION || 'warn').toLowerCase(), // Someone else's link
+    otherThread: (process.env.DUPLICATE_OTHER_THREAD_ACTION || 'warn').toLowerCase(), // Own link, different thread
+    sameThread: (process.env.DUPLICATE_SAME_THREAD_ACTION || 'warn').toLowerCase(), // Own link, same thread
+    otherCreator: (process.env.DUPLICATE_OTHER_CREATOR_ACTION || 'warn').toLowerCase() // Content by a handle another member linked, even on first post
+};
+const DUPLICATE_GRACE_PERIOD_PARSED = parseInt(process.env.DUPLICATE_GRACE_PERIOD);
+const DUPLICATE_GRACE_PERIOD_SECONDS = isNaN(DUPLICATE_GRACE_PERIOD_PARSED) ? 30 : DUPLICATE_GRACE_PERIOD_PARSED; // Default to 30 seconds to edit the link out, 0 turns it off
+const DUPLICATE_GRACE_PERIOD = DUPLICATE_GRACE_PERIOD_SECONDS * 1000; // Convert to milliseconds
+const DUPLICATE_TIMEOUT_MINUTES = parseInt(process.env.DUPLICATE_TIMEOUT) || 10; // Default to 10 minutes
+const DUPLICATE_TIMEOUT = DUPLICATE_TIMEOUT_MINUTES * 60 * 1000; // Convert to milliseconds
+
+// URLs of deleted messages: 'delete' frees them for anyone to post again, 'tombstone'
+// frees them too but keeps the entries, marked with deletedAt, for moderators
+const URL_RELEASE_MODES = ['delete', 'tombstone'];
+const URL_RELEASE_MODE = (process.env.URL_RELEASE_MODE || 'delete').toLowerCase();
+
+// Role tier change configuration
+// 'dm' (DM, pinging in the new thread when DMs are closed), 'thread' (ping in the new thread) or 'off'
+const TIER_CHANGE_NOTIFICATION_TYPES = ['dm', 'thread', 'off'];
+const TIER_CHANGE_NOTIFICATION = (process.env.TIER_CHANGE_NOTIFICATION || 'dm').toLowerCase();
+const TIER_HISTORY_FILE = process.env.TIER_HISTORY_FILE || null; // Tier changes aren't recorded when unset
+
+// Bot replies are deleted after this delay
+const AUTO_DELETE_TIMER_SECONDS = parseInt(process.env.AUTO_DELETE_TIMER) || 30; // Default to 30 seconds
+const AUTO_DELETE_TIMER = AUTO_DELETE_TIMER_SECONDS * 1000; // Convert to milliseconds
+
+// Logging configuration
+const LOG_LEVEL = (process.env.LOG_LEVEL || 'info').toLowerCase(); // 'debug', 'info', 'warn', 'error' or 'fatal'
+const LOG_FORMAT = (process.env.LOG_FORMAT || 'text').toLowerCase(); // 'text' or 'json'
+const LOG_FILE = process.env.LOG_FILE || null; // Console only when unset
+const LOG_MAX_SIZE_MB = parseInt(process.env.LOG_MAX_SIZE) || 10; // Default to 10 MB per file
+const LOG_MAX_SIZE = LOG_MAX_SIZE_MB * 1024 * 1024; // Convert to bytes
+const LOG_MAX_FILES = parseInt(process.env.LOG_MAX_FILES) || 5; // Default to 5 rotated files
+
+// Job queue configuration (delayed URL checks and registry writes survive restarts)
+const JOB_QUEUE_FILE = process.env.JOB_QUEUE_FILE || path.join(DATA_DIR, 'JOB_QUEUE.json');
+const JOB_RETRY_BASE_DELAY_SECONDS = parseInt(process.env.JOB_RETRY_BASE_DELAY) || 5; // Default to 5 seconds, doubled on every failure
+const JOB_RETRY_BASE_DELAY = JOB_RETRY_BASE_DELAY_SECONDS * 1000; // Convert to milliseconds
+const JOB_RETRY_MAX_DELAY_MINUTES = parseInt(process.env.JOB_RETRY_MAX_DELAY) || 60; // Default to retrying at least hourly
+const JOB_RETRY_MAX_DELAY = JOB_RETRY_MAX_DELAY_MINUTES * 60 * 1000; // Convert to milliseconds
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 10; // Default to giving up after 10 attempts
+
+// Metrics and health endpoint, disabled when METRICS_PORT is unset
+const METRICS_PORT = parseInt(process.env.METRICS_PORT) || null;
+const METRICS_HOST = process.env.METRICS_HOST || '0.0.0.0';
+
+// History backfill configuration
+const BACKFILL_PAGE_DELAY = parseInt(process.env.BACKFILL_PAGE_DELAY) || 1000; // Default to 1 second between pages
 
 module.exports = {
+    DATA_DIR,
     DB_TIMEOUT,
     RATE_LIMIT_MAX_REQUESTS,
-    RATE_LIMIT_COOLDOWN
+    RATE_LIMIT_COOLDOWN,
+    RATE_LIMIT_SCOPES,
+    RATE_LIMIT_SCOPE,
+    RATE_LIMIT_ACTION_TYPES,
+    RATE_LIMIT_ACTION,
+    RATE_LIMIT_TIMEOUT,
+    URL_STORE_BACKEND,
+    STORAGE_BACKUP_COUNT,
+    STORAGE_BACKUP_INTERVAL,
+    URL_RETENTION,
+    BACKFILL_PAGE_DELAY,
+    METRICS_PORT,
+    METRICS_HOST,
+    JOB_QUEUE_FILE,
+    JOB_RETRY_BASE_DELAY,
+    JOB_RETRY_MAX_DELAY,
+    JOB_MAX_ATTEMPTS,
+    ROUTING_CONFIG,
+    MESSAGE_TEMPLATES,
+    DEFAULT_LOCALE,
+    MEMBER_LOCALES_FILE,
+    MODERATOR_ROLE_ID,
+    AUDIT_CHANNEL_ID,
+    DISPUTE_CHANNEL_ID,
+    DISPUTES_FILE,
+    DISPUTE_WINDOW,
+    HANDLE_LINKS_FILE,
+    DUPLICATE_ACTION_TYPES,
+    DUPLICATE_ACTIONS,
+    DUPLICATE_GRACE_PERIOD,
+    DUPLICATE_TIMEOUT,
+    URL_RELEASE_MODES,
+    URL_RELEASE_MODE,
+    TIER_CHANGE_NOTIFICATION_TYPES,
+    TIER_CHANGE_NOTIFICATION,
+    TIER_HISTORY_FILE,
+    AUTO_DELETE_TIMER,
+    LOG_LEVEL,
+    LOG_FORMAT,
+    LOG_FILE,
+    LOG_MAX_SIZE,
+    LOG_MAX_FILES
 };
\ No newline at end of file
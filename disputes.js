@@ -0,0 +1,385 @@
+const crypto = require('crypto');
+const {
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    ModalBuilder,
+    TextInputBuilder,
+    TextInputStyle
+} = require('discord.js');
+const { logger } = require('./logger');
+const AtomicJsonFile = require('./atomicJsonFile');
+const { messages } = require('./messageBuilder');
+const { memberLocales } = require('./i18n');
+const { isModerator } = require('./urlCommands');
+const { DISPUTE_CHANNEL_ID, DISPUTES_FILE, DISPUTE_WINDOW } = require('./config');
+
+const log = logger.child({ module: 'disputes' });
+
+const MAX_BUTTONS = 5; // One action row
+const MAX_PROOF_LENGTH = 1000;
+const MAX_CONTENT_LENGTH = 500;
+// Discord's button and modal limits
+const MAX_BUTTON_LABEL_LENGTH = 80;
+const MAX_MODAL_TITLE_LENGTH = 45;
+const MAX_LABEL_LENGTH = 45;
+const MAX_PLACEHOLDER_LENGTH = 100;
+
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.substring(0, maxLength - 3)}...` : text;
+}
+
+// Lets a member warned that a URL belongs to someone else contest it. The warning gets a
+// Contest button, the member explains their claim in a modal and the claim lands in the
+// DISPUTE_CHANNEL_ID queue, where a moderator approves (the URL's record is transferred to
+// the member, see UrlStorage.transferOwnership) or rejects it.
+//
+// Disputes are kept in DISPUTES_FILE with their history. Offers nobody took up expire after
+// DISPUTE_WINDOW; claims and decisions are kept for good.
+// Custom IDs: dispute:contest:<id> (button), dispute:claim:<id> (modal),
+// dispute:approve:<id> and dispute:reject:<id> (queue buttons).
+class DisputeManager {
+    // getRegistry(name) returns { urlStore } of a registry, see urlRegistries.js
+    constructor(client, auditLog, getRegistry, options = {}) {
+        this.client = client;
+        this.auditLog = auditLog;
+        this.getRegistry = getRegistry;
+        this.channelId = options.channelId || DISPUTE_CHANNEL_ID;
+        this.filePath = options.filePath || DISPUTES_FILE;
+        this.channel = null;
+        this.disputes = new Map(); // id -> dispute
+        this.file = new AtomicJsonFile(this.filePath, () => ({ disputes: [...this.disputes.values()] }));
+    }
+
+    get enabled() {
+        return this.channel !== null;
+    }
+
+    // Loads the disputes file before login, init() fetches the queue channel once the client is ready
+    async load() {
+        const data = await this.file.read();
+        if (!data) return;
+        for (const dispute of data.disputes || []) {
+            this.disputes.set(dispute.id, dispute);
+        }
+        log.info(`Loaded ${this.disputes.size} dispute(s) from ${this.filePath}`);
+    }
+
+    async init() {
+        if (!this.channelId) {
+            log.info('DISPUTE_CHANNEL_ID is not set, duplicate warnings cannot be contested');
+            return;
+        }
+
+        this.channel = await this.client.channels.fetch(this.channelId).catch(() => null);
+        if (!this.channel || !this.channel.isTextBased()) {
+            log.error(`Dispute channel ${this.channelId} not found or not a text channel`);
+            this.channel = null;
+            return;
+        }
+        log.info(`Posting ownership disputes to #${this.channel.name}`);
+    }
+
+    // Buttons for a duplicate warning, one per URL another member owns, labelled in the
+    // warning's locale. violations are urlTracker.js violations, only otherAuthor ones carry
+    // the original record.
+    async offer(message, violations, locale) {
+        if (!this.enabled) return [];
+        const contestable = violations
+            .filter(violation => violation.caseName === 'otherAuthor' && violation.original)
+            .slice(0, MAX_BUTTONS);
+        if (contestable.length === 0) return [];
+
+        const buttons = contestable.map((violation, index) => {
+            const dispute = {
+                id: crypto.randomUUID(),
+                status: 'offered',
+                registry: violation.registry,
+                url: violation.url,
+                recordKey: violation.original.recordKey,
+                guildId: message.guild?.id || null,
+                claimant: {
+                    userId: message.author.id,
+                    tag: message.author.tag,
+                    messageUrl: message.url,
+                    content: message.content ? truncate(message.content, MAX_CONTENT_LENGTH) : null
+                },
+                owner: {
+                    userId: violation.original.userId,
+                    tag: violation.original.author,
+                    messageUrl: violation.original.messageUrl
+                },
+                proof: null,
+                queueMessageId: null,
+                createdAt: Date.now(),
+                history: []
+            };
+            this.disputes.set(dispute.id, dispute);
+
+            return new ButtonBuilder()
+                .setCustomId(`dispute:contest:${dispute.id}`)
+                .setLabel(this.getContestLabel(contestable.length > 1 ? index + 1 : null, locale))
+                .setStyle(ButtonStyle.Secondary);
+        });
+
+        await this.file.persist();
+        return [new ActionRowBuilder().addComponents(buttons)];
+    }
+
+    // Never posted, the template's title labels a single button and its description one of several
+    getContestLabel(number, locale) {
+        const labels = messages.render('dispute-contest', { number }, { locale });
+        return truncate((number === null ? labels.title : labels.description) || '', MAX_BUTTON_LABEL_LENGTH);
+    }
+
+    async handleInteraction(interaction) {
+        if (!interaction.isButton() && !interaction.isModalSubmit()) return;
+        const [prefix, action, id] = interaction.customId.split(':');
+        if (prefix !== 'dispute') return;
+
+        try {
+            const dispute = this.disputes.get(id);
+            if (!dispute) {
+                await this.reply(interaction, 'dispute-expired');
+                return;
+            }
+
+            if (action === 'contest') {
+                await this.handleContest(interaction, dispute);
+            } else if (action === 'claim') {
+                await this.handleClaim(interaction, dispute);
+            } else if (action === 'approve' || action === 'reject') {
+                await this.handleDecision(interaction, dispute, action === 'approve' ? 'approved' : 'rejected');
+            }
+        } catch (error) {
+            log.error(`Error handling dispute ${action}: ${error.message}`, { disputeId: id, userId: interaction.user.id });
+            const reply = { embeds: [messages.build('dispute-failed', {}, { locale: interaction.locale })], ephemeral: true };
+            if (interaction.deferred || interaction.replied) {
+                await interaction.followUp(reply).catch(() => {});
+            } else {
+                await interaction.reply(reply).catch(() => {});
+            }
+        }
+    }
+
+    // Ephemeral notice in the locale of whoever clicked
+    reply(interaction, name, vars = {}) {
+        return interaction.reply({ embeds: [messages.build(name, vars, { locale: interaction.locale })], ephemeral: true });
+    }
+
+    // Returns the template telling why the member can't (or can no longer) claim the URL,
+    // null when they can
+    getClaimProblem(interaction, dispute) {
+        if (interaction.user.id !== dispute.claimant.userId) {
+            return 'dispute-not-claimant';
+        }
+        if (dispute.status !== 'offered') {
+            return 'dispute-already-contested';
+        }
+        if (Date.now() - dispute.createdAt > DISPUTE_WINDOW) {
+            return 'dispute-window-closed';
+        }
+        return null;
+    }
+
+    async handleContest(interaction, dispute) {
+        const problem = this.getClaimProblem(interaction, dispute);
+        if (problem) {
+            await this.reply(interaction, problem);
+            return;
+        }
+
+        // Never posted, the template holds the form's title, question and hint
+        const form = messages.render('dispute-form', {}, { locale: interaction.locale });
+        const [question] = form.fields;
+        const proof = new TextInputBuilder()
+            .setCustomId('proof')
+            .setLabel(truncate(question.name, MAX_LABEL_LENGTH))
+            .setPlaceholder(truncate(question.value, MAX_PLACEHOLDER_LENGTH))
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(MAX_PROOF_LENGTH)
+            .setRequired(true);
+
+        await interaction.showModal(new ModalBuilder()
+            .setCustomId(`dispute:claim:${dispute.id}`)
+            .setTitle(truncate(form.title, MAX_MODAL_TITLE_LENGTH))
+            .addComponents(new ActionRowBuilder().addComponents(proof)));
+    }
+
+    async handleClaim(interaction, dispute) {
+        const problem = this.getClaimProblem(interaction, dispute);
+        if (problem) {
+            await this.reply(interaction, problem);
+            return;
+        }
+
+        // Opened before the first await, so a second submit is turned away above. Until the
+        // claim is in the queue the member can still contest again.
+        dispute.status = 'open';
+        dispute.proof = interaction.fields.getTextInputValue('proof');
+        let queueMessage;
+        try {
+            queueMessage = await this.channel.send({
+                embeds: [this.buildQueueEmbed(dispute)],
+                components: [this.buildDecisionButtons(dispute)]
+            });
+        } catch (error) {
+            dispute.status = 'offered';
+            dispute.proof = null;
+            throw error;
+        }
+        dispute.queueMessageId = queueMessage.id;
+        dispute.history.push({ timestamp: new Date().toISOString(), action: 'opened', userId: interaction.user.id });
+        await this.file.persist();
+
+        log.info(`Ownership of ${dispute.url} contested by ${interaction.user.tag}`, { disputeId: dispute.id, userId: interaction.user.id });
+        await this.auditLog.record({
+            type: 'dispute_opened',
+            reason: `Claims to be the author of a URL first posted by ${dispute.owner.tag || dispute.owner.userId}`,
+            urls: [dispute.url],
+            userId: dispute.claimant.userId,
+            userTag: dispute.claimant.tag,
+            disputeId: dispute.id
+        });
+
+        await this.reply(interaction, 'dispute-submitted', { url: dispute.url });
+    }
+
+    async handleDecision(interaction, dispute, status) {
+        if (!isModerator(interaction.member)) {
+            await this.reply(interaction, 'dispute-moderators-only');
+            return;
+        }
+        if (dispute.status !== 'open') {
+            const decision = dispute.history[dispute.history.length - 1];
+            await this.reply(interaction, `dispute-already-${dispute.status}`, { moderatorId: decision?.userId });
+            return;
+        }
+        const registry = status === 'approved' ? this.getRegistry(dispute.registry) : null;
+        if (status === 'approved' && !registry) {
+            await this.reply(interaction, 'dispute-registry-closed', { registry: dispute.registry });
+            return;
+        }
+
+        // Decided before the first await, so a second moderator's click is turned away above
+        dispute.status = status;
+        let note = null;
+        if (registry) {
+            let transferred;
+            try {
+                transferred = await registry.urlStore.transferOwnership(dispute.recordKey, {
+                    userId: dispute.claimant.userId,
+                    author: dispute.claimant.tag
+                });
+            } catch (error) {
+                dispute.status = 'open';
+                throw error;
+            }
+            // The contested record was released, the URL is free to post anyway
+            note = transferred ? null : 'The contested record no longer exists, nothing was transferred';
+        }
+
+        dispute.history.push({
+            timestamp: new Date().toISOString(),
+            action: status,
+            userId: interaction.user.id,
+            ...(note ? { note } : {})
+        });
+        await this.file.persist();
+
+        log.info(`Dispute over ${dispute.url} ${status} by ${interaction.user.tag}`, { disputeId: dispute.id, userId: dispute.claimant.userId });
+        await this.auditLog.record({
+            type: status === 'approved' ? 'dispute_approved' : 'dispute_rejected',
+            reason: note || (status === 'approved'
+                ? `Ownership transferred from ${dispute.owner.tag || dispute.owner.userId}`
+                : `Ownership stays with ${dispute.owner.tag || dispute.owner.userId}`),
+            urls: [dispute.url],
+            userId: dispute.claimant.userId,
+            userTag: dispute.claimant.tag,
+            moderatorId: interaction.user.id,
+            disputeId: dispute.id
+        });
+
+        await interaction.update({ embeds: [this.buildQueueEmbed(dispute)], components: [] });
+        await this.notifyClaimant(dispute);
+    }
+
+    // DMs the decision, members who don't accept DMs just don't hear back
+    async notifyClaimant(dispute) {
+        try {
+            const guild = dispute.guildId ? this.client.guilds.cache.get(dispute.guildId) : null;
+            const member = guild ? await guild.members.fetch(dispute.claimant.userId).catch(() => null) : null;
+            const user = member?.user || await this.client.users.fetch(dispute.claimant.userId);
+            const embed = messages.build(`dispute-${dispute.status}`, { member: `${user}`, url: dispute.url }, {
+                locale: memberLocales.localeFor(member || user, null)
+            });
+            await user.send({ embeds: [embed] });
+        } catch (error) {
+            log.info(`Could not tell ${dispute.claimant.tag} about the dispute decision: ${error.message}`, { disputeId: dispute.id });
+        }
+    }
+
+    buildDecisionButtons(dispute) {
+        return new ActionRowBuilder().addComponents(
+            new ButtonBuilder().setCustomId(`dispute:approve:${dispute.id}`).setLabel('Approve transfer').setStyle(ButtonStyle.Success),
+            new ButtonBuilder().setCustomId(`dispute:reject:${dispute.id}`).setLabel('Reject').setStyle(ButtonStyle.Danger)
+        );
+    }
+
+    // One template per status, in the default locale as moderators share the queue
+    buildQueueEmbed(dispute) {
+        const decision = dispute.status === 'open' ? {} : dispute.history[dispute.history.length - 1];
+        return messages.build(`dispute-queue-${dispute.status}`, {
+            url: dispute.url,
+            claimantId: dispute.claimant.userId,
+            claimantTag: dispute.claimant.tag,
+            owner: dispute.owner.userId ? `<@${dispute.owner.userId}>` : dispute.owner.tag,
+            registry: dispute.registry,
+            messageUrl: dispute.claimant.messageUrl,
+            originalMessageUrl: dispute.owner.messageUrl,
+            proof: dispute.proof,
+            content: dispute.claimant.content,
+            moderatorId: decision.userId,
+            note: decision.note
+        }).setTimestamp(new Date(dispute.createdAt));
+    }
+
+    // Claims and decisions concerning a registry record, oldest first
+    getHistory(recordKey) {
+        return [...this.disputes.values()]
+            .filter(dispute => dispute.recordKey === recordKey && dispute.status !== 'offered')
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    // Record keys of a registry's URLs that can still be contested or wait for a decision,
+    // kept by URL retention (see UrlStorage.cleanup)
+    getDisputedRecordKeys(registry) {
+        const recordKeys = new Set();
+        for (const dispute of this.disputes.values()) {
+            if (dispute.registry === registry && ['offered', 'open'].includes(dispute.status)) {
+                recordKeys.add(dispute.recordKey);
+            }
+        }
+        return recordKeys;
+    }
+
+    // Drops offers that weren't taken up in time, called from the cache cleanup interval
+    prune(now = Date.now()) {
+        let pruned = 0;
+        for (const [id, dispute] of this.disputes.entries()) {
+            if (dispute.status === 'offered' && now - dispute.createdAt > DISPUTE_WINDOW) {
+                this.disputes.delete(id);
+                pruned++;
+            }
+        }
+        if (pruned > 0) {
+            this.file.persist().catch(error => log.error(`Error saving disputes: ${error.message}`));
+        }
+    }
+
+    async shutdown() {
+        await this.file.flush();
+    }
+}
+
+module.exports = DisputeManager;
\ No newline at end of file
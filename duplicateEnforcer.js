@@ -0,0 +1,137 @@
+const { logger, messageContext } = require('./logger');
+const { DUPLICATE_ACTIONS, DUPLICATE_TIMEOUT, AUTO_DELETE_TIMER } = require('./config');
+const { duplicateDetections } = require('./metrics');
+
+const log = logger.child({ module: 'duplicateEnforcer' });
+
+// Ordered from mildest to harshest, a message with several duplicates gets the harshest one
+const SEVERITY = ['log', 'warn', 'delete', 'delete_dm', 'timeout'];
+const MAX_EMBEDS_PER_MESSAGE = 10;
+
+// Applies the configured action for each duplicate case (see DUPLICATE_ACTIONS in config.js).
+// With disputes (see disputes.js), warnings about another member's URL can be contested.
+class DuplicateEnforcer {
+    constructor(auditLog, actions = DUPLICATE_ACTIONS, disputes = null) {
+        this.auditLog = auditLog;
+        this.actions = actions;
+        this.disputes = disputes;
+    }
+
+    // overrides are a forum's duplicateActions option
+    getAction(caseName, overrides = {}) {
+        return overrides[caseName] || this.actions[caseName] || 'warn';
+    }
+
+    // violations: [{ caseName, url, embed }], locale the one their embeds are in. Returns true
+    // when the message was deleted.
+    async enforce(message, violations, overrides = {}, locale) {
+        if (violations.length === 0) return false;
+
+        const action = violations
+            .map(violation => this.getAction(violation.caseName, overrides))
+            .reduce((harshest, current) => SEVERITY.indexOf(current) > SEVERITY.indexOf(harshest) ? current : harshest);
+        violations.forEach(violation => {
+            duplicateDetections.inc({ case: violation.caseName, action: this.getAction(violation.caseName, overrides) });
+            log.info(`Duplicate URL (${violation.caseName}) by ${message.author.tag}: ${violation.url}`, messageContext(message));
+        });
+        await this.auditLog.record({
+            type: 'duplicate_url',
+            action,
+            reason: `Reposted ${violations.length === 1 ? 'a URL' : `${violations.length} URLs`} (${[...new Set(violations.map(violation => violation.caseName))].join(', ')})`,
+            urls: violations.map(violation => violation.url),
+            ...this.auditLog.describeMessage(message)
+        });
+        if (action === 'log') return false;
+
+        const warned = violations
+            .filter(violation => this.getAction(violation.caseName, overrides) !== 'log')
+            .slice(0, MAX_EMBEDS_PER_MESSAGE);
+        const warning = { embeds: warned.map(violation => violation.embed) };
+
+        try {
+            if (this.disputes) {
+                warning.components = await this.disputes.offer(message, warned, locale).catch(error => {
+                    log.error(`Error offering a dispute: ${error.message}`, messageContext(message));
+                    return [];
+                });
+            }
+
+            if (action === 'delete_dm') {
+                const deleted = await this.deleteMessage(message);
+                await this.sendDirectWarning(message, warning);
+                return deleted;
+            }
+
+            await this.sendWarning(message, warning);
+            if (action === 'warn') return false;
+
+            if (action === 'timeout') {
+                await this.timeoutMember(message);
+            }
+            return this.deleteMessage(message);
+        } catch (error) {
+            log.error(`Error enforcing ${action}: ${error.message}`, messageContext(message));
+            return false;
+        }
+    }
+
+    // Warnings with a Contest button stay up for the whole DISPUTE_WINDOW, see disputes.js
+    hasDisputeButtons(warning) {
+        return Boolean(warning.components && warning.components.length > 0);
+    }
+
+    // warning: { embeds, components }
+    async sendWarning(message, warning) {
+        const replyMessage = await message.reply(warning);
+        if (!this.hasDisputeButtons(warning)) {
+            this.scheduleDelete(replyMessage);
+        }
+    }
+
+    // Falls back to a channel warning when the member doesn't accept DMs
+    async sendDirectWarning(message, warning) {
+        try {
+            await message.author.send(warning);
+        } catch (error) {
+            log.info(`Could not DM ${message.author.tag}, warning in channel instead: ${error.message}`);
+            const channelWarning = await message.channel.send({ content: `${message.author}`, ...warning });
+            if (!this.hasDisputeButtons(warning)) {
+                this.scheduleDelete(channelWarning);
+            }
+        }
+    }
+
+    scheduleDelete(replyMessage) {
+        if (AUTO_DELETE_TIMER <= 0) return;
+        setTimeout(async () => {
+            try {
+                if (replyMessage.deletable) {
+                    await replyMessage.delete();
+                }
+            } catch (error) {
+                log.error(`Error deleting duplicate warning: ${error.message}`);
+            }
+        }, AUTO_DELETE_TIMER);
+    }
+
+    async deleteMessage(message) {
+        if (!message.deletable) {
+            log.error(`Cannot delete duplicate message ${message.id}: missing permissions`);
+            return false;
+        }
+        await message.delete();
+        log.info(`Deleted duplicate message by ${message.author.tag}`, messageContext(message));
+        return true;
+    }
+
+    async timeoutMember(message) {
+        if (!message.member?.moderatable) {
+            log.error(`Cannot time out ${message.author.tag}: missing permissions`);
+            return;
+        }
+        await message.member.timeout(DUPLICATE_TIMEOUT, 'Posted a duplicate URL');
+        log.info(`Timed out ${message.author.tag} for ${DUPLICATE_TIMEOUT / 60000} minutes`, { userId: message.author.id });
+    }
+}
+
+module.exports = DuplicateEnforcer;
\ No newline at end of file
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+
+// Every module in this directory (except this one) is an extractor:
+// { name, hosts: [...], extract(parsedUrl) => contentId | null, author(parsedUrl) => handle | null }
+// author is optional, for sites whose URLs name the account that posted the content
+const extractors = [];
+
+function registerExtractor(extractor) {
+    if (!extractor || typeof extractor.name !== 'string' || typeof extractor.extract !== 'function'
+        || !Array.isArray(extractor.hosts)) {
+        throw new Error('Extractor must export a name, a hosts array and an extract function');
+    }
+    if (extractor.author !== undefined && typeof extractor.author !== 'function') {
+        throw new Error(`Extractor ${extractor.name} must export author as a function`);
+    }
+    extractors.push(extractor);
+}
+
+for (const file of fs.readdirSync(__dirname).sort()) {
+    if (file === 'index.js' || !file.endsWith('.js')) continue;
+    registerExtractor(require(path.join(__dirname, file)));
+}
+
+function normalizeHost(hostname) {
+    return hostname.toLowerCase().replace(/^www\./, '');
+}
+
+function findExtractor(parsedUrl) {
+    const host = normalizeHost(parsedUrl.hostname);
+    return extractors.find(extractor => extractor.hosts.some(pattern =>
+        pattern instanceof RegExp ? pattern.test(host) : pattern === host
+    ));
+}
+
+function parseUrl(url) {
+    try {
+        return new URL(url.trim());
+    } catch {
+        return null;
+    }
+}
+
+// Returns a site-specific key like "twitter:1881698703620379051", or null when
+// no extractor recognises the URL
+function getContentKey(url) {
+    const parsedUrl = parseUrl(url);
+    const extractor = parsedUrl && findExtractor(parsedUrl);
+    if (!extractor) return null;
+
+    const contentId = extractor.extract(parsedUrl);
+    return contentId ? `${extractor.name}:${contentId}` : null;
+}
+
+// Handles are compared without '@' and case-insensitively, like the sites do
+function normalizeHandle(handle) {
+    return handle.trim().replace(/^@/, '').toLowerCase();
+}
+
+// Returns the account the content was posted by, like { platform: 'twitter', handle: 'botanixlabs' },
+// or null when the URL doesn't name one
+function getContentAuthor(url) {
+    const parsedUrl = parseUrl(url);
+    const extractor = parsedUrl && findExtractor(parsedUrl);
+    if (!extractor || !extractor.author) return null;
+
+    const handle = extractor.author(parsedUrl);
+    return handle ? { platform: extractor.name, handle: normalizeHandle(handle) } : null;
+}
+
+// Names of the extractors that can tell an author, the platforms handles can be linked for
+function getAuthorPlatforms() {
+    return extractors.filter(extractor => extractor.author).map(extractor => extractor.name);
+}
+
+module.exports = {
+    registerExtractor,
+    getContentKey,
+    getContentAuthor,
+    getAuthorPlatforms,
+    normalizeHandle,
+    extractors
+};
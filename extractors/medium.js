@@ -0,0 +1,31 @@
+// https://medium.com/@botanix/building-on-bitcoin-1a2b3c4d5e6f   -> 1a2b3c4d5e6f
+// https://botanix.medium.com/building-on-bitcoin-1a2b3c4d5e6f    -> 1a2b3c4d5e6f
+// https://medium.com/p/1a2b3c4d5e6f                              -> 1a2b3c4d5e6f
+// The author is the @name segment or the subdomain: botanix in both of the first two
+// Post ids are 10-12 hex characters with at least one digit, so slugs ending in a hex-looking
+// word (why-we-deadbeef, a-decade-facade) aren't taken for one
+const POST_ID = /(?:^|-)((?=[a-f]*[0-9])[0-9a-f]{10,12})$/;
+
+module.exports = {
+    name: 'medium',
+    hosts: ['medium.com', /^[a-z0-9-]+\.medium\.com$/],
+    extract(parsedUrl) {
+        const segments = parsedUrl.pathname.split('/').filter(Boolean);
+        if (segments.length === 0) return null;
+
+        if (segments[0] === 'p' && segments[1]) {
+            const match = segments[1].match(POST_ID);
+            return match ? match[1] : null;
+        }
+
+        const match = segments[segments.length - 1].match(POST_ID);
+        return match ? match[1] : null;
+    },
+    author(parsedUrl) {
+        const host = parsedUrl.hostname.toLowerCase().replace(/^www\./, '');
+        if (host !== 'medium.com') return host.slice(0, -'.medium.com'.length);
+
+        const first = parsedUrl.pathname.split('/').filter(Boolean)[0] || '';
+        return first.startsWith('@') && first.length > 1 ? first : null;
+    }
+};
@@ -0,0 +1,27 @@
+// https://x.com/BotanixLabs/status/1881698703620379051      -> 1881698703620379051
+// https://twitter.com/i/web/status/1881698703620379051      -> 1881698703620379051
+// https://x.com/BotanixLabs/status/1881698703620379051/photo/1 -> 1881698703620379051
+// The author is the path segment before /status/: BotanixLabs, none for /i/web/status/
+const NOT_HANDLES = ['i', 'web', 'intent', 'share', 'home', 'search'];
+
+function findStatusIndex(segments) {
+    return segments.findIndex(segment => segment === 'status' || segment === 'statuses');
+}
+
+module.exports = {
+    name: 'twitter',
+    hosts: ['x.com', 'twitter.com', 'mobile.twitter.com', 'mobile.x.com', 'fxtwitter.com', 'vxtwitter.com'],
+    extract(parsedUrl) {
+        const segments = parsedUrl.pathname.split('/').filter(Boolean);
+        const statusIndex = findStatusIndex(segments);
+        if (statusIndex === -1) return null;
+
+        const statusId = segments[statusIndex + 1];
+        return /^\d+$/.test(statusId || '') ? statusId : null;
+    },
+    author(parsedUrl) {
+        const segments = parsedUrl.pathname.split('/').filter(Boolean);
+        const handle = findStatusIndex(segments) === 1 ? segments[0] : null;
+        return handle && /^\w{1,15}$/.test(handle) && !NOT_HANDLES.includes(handle.toLowerCase()) ? handle : null;
+    }
+};
@@ -0,0 +1,29 @@
+// https://www.youtube.com/watch?v=dQw4w9WgXcQ   -> dQw4w9WgXcQ
+// https://youtube.com/shorts/dQw4w9WgXcQ        -> dQw4w9WgXcQ
+// https://youtu.be/dQw4w9WgXcQ?si=abc           -> dQw4w9WgXcQ
+// Video URLs don't name the channel, only channel URLs (youtube.com/@botanixlabs) have an author
+const VIDEO_ID = /^[A-Za-z0-9_-]{11}$/;
+const PATH_PREFIXES = ['shorts', 'embed', 'live', 'v'];
+
+module.exports = {
+    name: 'youtube',
+    hosts: ['youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtu.be', 'youtube-nocookie.com'],
+    extract(parsedUrl) {
+        const segments = parsedUrl.pathname.split('/').filter(Boolean);
+        let videoId = null;
+
+        if (parsedUrl.hostname === 'youtu.be') {
+            videoId = segments[0];
+        } else if (segments[0] === 'watch') {
+            videoId = parsedUrl.searchParams.get('v');
+        } else if (PATH_PREFIXES.includes(segments[0])) {
+            videoId = segments[1];
+        }
+
+        return VIDEO_ID.test(videoId || '') ? videoId : null;
+    },
+    author(parsedUrl) {
+        const first = parsedUrl.pathname.split('/').filter(Boolean)[0] || '';
+        return first.startsWith('@') && first.length > 1 ? first : null;
+    }
+};
@@ -0,0 +1,256 @@
+const { SlashCommandBuilder, InteractionContextType } = require('discord.js');
+const { logger } = require('./logger');
+const { messages } = require('./messageBuilder');
+const { getAuthorPlatforms, normalizeHandle } = require('./extractors');
+const { isModerator } = require('./urlCommands');
+
+const log = logger.child({ module: 'handleCommands' });
+
+const REQUEST_LIST_LIMIT = 25;
+
+function formatHandle(entry) {
+    return `${entry.platform}: @${entry.handle}`;
+}
+
+// The /handles command: members request links between the accounts they post from on X,
+// YouTube, Medium, ... and their Discord account, moderators verify the account and approve
+// or reject the request (see handleLinks.js). Moderators can also link and unlink directly.
+class HandleCommands {
+    constructor(handleLinks, auditLog) {
+        this.handleLinks = handleLinks;
+        this.auditLog = auditLog;
+        this.handlers = {
+            link: interaction => this.handleLink(interaction),
+            approve: interaction => this.handleDecision(interaction, true),
+            reject: interaction => this.handleDecision(interaction, false),
+            unlink: interaction => this.handleUnlink(interaction),
+            pending: interaction => this.handlePending(interaction),
+            list: interaction => this.handleList(interaction)
+        };
+    }
+
+    buildDefinition() {
+        const platforms = getAuthorPlatforms().map(platform => ({ name: platform, value: platform }));
+        const addHandleOptions = subcommand => subcommand
+            .addStringOption(option => option
+                .setName('platform')
+                .setDescription('Platform the account is on')
+                .setRequired(true)
+                .addChoices(...platforms))
+            .addStringOption(option => option
+                .setName('handle')
+                .setDescription('Account handle, like @botanixlabs')
+                .setRequired(true));
+
+        return new SlashCommandBuilder()
+            .setName('handles')
+            .setDescription('Link the accounts you post content from to your Discord account')
+            .setContexts(InteractionContextType.Guild)
+            .addSubcommand(subcommand => addHandleOptions(subcommand
+                .setName('link')
+                .setDescription('Ask to link an account handle, a moderator verifies it'))
+                .addUserOption(option => option
+                    .setName('member')
+                    .setDescription('Member to link it to right away (moderators only)')))
+            .addSubcommand(subcommand => addHandleOptions(subcommand
+                .setName('approve')
+                .setDescription('Approve a link request after verifying the account (moderators only)'))
+                .addUserOption(option => option
+                    .setName('member')
+                    .setDescription('Member who requested it')
+                    .setRequired(true)))
+            .addSubcommand(subcommand => addHandleOptions(subcommand
+                .setName('reject')
+                .setDescription('Reject a link request (moderators only)'))
+                .addUserOption(option => option
+                    .setName('member')
+                    .setDescription('Member who requested it')
+                    .setRequired(true)))
+            .addSubcommand(subcommand => addHandleOptions(subcommand
+                .setName('unlink')
+                .setDescription('Unlink an account handle or withdraw your request')))
+            .addSubcommand(subcommand => subcommand
+                .setName('pending')
+                .setDescription('List the link requests waiting for a moderator (moderators only)'))
+            .addSubcommand(subcommand => subcommand
+                .setName('list')
+                .setDescription('List the linked handles of a member')
+                .addUserOption(option => option
+                    .setName('member')
+                    .setDescription('Member to look up (default: you)')));
+    }
+
+    async register(guild) {
+        await guild.commands.create(this.buildDefinition().toJSON());
+        log.info(`Registered /handles command in guild ${guild.name}`);
+    }
+
+    async handleInteraction(interaction) {
+        if (!interaction.isChatInputCommand() || interaction.commandName !== 'handles') return;
+
+        try {
+            const subcommand = interaction.options.getSubcommand();
+            log.info(`/handles ${subcommand} used by ${interaction.user.tag}`, { guildId: interaction.guildId, userId: interaction.user.id });
+            await this.handlers[subcommand](interaction);
+        } catch (error) {
+            log.error(`Error handling /handles command: ${error.message}`);
+            await interaction.reply({ content: 'An error occurred while processing the command.', ephemeral: true }).catch(() => {});
+        }
+    }
+
+    // Turns members away from moderator subcommands, returns whether the member may go on
+    async requireModerator(interaction) {
+        if (isModerator(interaction.member)) return true;
+        await interaction.reply({ content: 'Only moderators can do this.', ephemeral: true });
+        return false;
+    }
+
+    // Members file a request, moderators link right away
+    async handleLink(interaction) {
+        const platform = interaction.options.getString('platform', true);
+        const handle = interaction.options.getString('handle', true);
+        const member = interaction.options.getUser('member');
+        if (member && !await this.requireModerator(interaction)) return;
+
+        if (!isModerator(interaction.member)) {
+            let request;
+            try {
+                request = await this.handleLinks.request(platform, handle, interaction.user.id);
+            } catch (error) {
+                await interaction.reply({ content: `Handle not requested: ${error.message}`, ephemeral: true });
+                return;
+            }
+            await this.auditLog.record({
+                type: 'handle_requested',
+                reason: `Asks to link ${request.platform} account @${request.handle}, approve with /handles approve once verified`,
+                userId: interaction.user.id,
+                userTag: interaction.user.tag
+            });
+            await interaction.reply({
+                content: `Requested ${formatHandle(request)}. A moderator will verify the account is yours before it counts.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        await this.linkHandle(interaction, platform, handle, member || interaction.user);
+    }
+
+    async handleDecision(interaction, approved) {
+        if (!await this.requireModerator(interaction)) return;
+        const platform = interaction.options.getString('platform', true);
+        const handle = interaction.options.getString('handle', true);
+        const user = interaction.options.getUser('member', true);
+
+        const request = this.handleLinks.getRequests(user.id)
+            .find(candidate => candidate.platform === platform && candidate.handle === normalizeHandle(handle));
+        if (!request) {
+            await interaction.reply({ content: `${user} has no pending request for that ${platform} account.`, ephemeral: true });
+            return;
+        }
+
+        if (approved) {
+            await this.linkHandle(interaction, request.platform, request.handle, user);
+            return;
+        }
+        await this.handleLinks.withdraw(request.platform, request.handle, user.id);
+        await this.auditLog.record({
+            type: 'handle_rejected',
+            reason: `Request to link ${request.platform} account @${request.handle} rejected`,
+            userId: user.id,
+            userTag: user.tag,
+            moderatorId: interaction.user.id
+        });
+        await interaction.reply({ content: `Rejected the request of ${user} for ${formatHandle(request)}.`, ephemeral: true });
+    }
+
+    async linkHandle(interaction, platform, handle, user) {
+        let link;
+        try {
+            link = await this.handleLinks.link(platform, handle, user.id, interaction.user.id);
+        } catch (error) {
+            await interaction.reply({ content: `Handle not linked: ${error.message}`, ephemeral: true });
+            return;
+        }
+
+        await this.auditLog.record({
+            type: 'handle_linked',
+            reason: `Linked ${link.platform} account @${link.handle}`,
+            userId: user.id,
+            userTag: user.tag,
+            moderatorId: interaction.user.id
+        });
+        await interaction.reply({ content: `Linked ${formatHandle(link)} to ${user}.`, ephemeral: true });
+    }
+
+    // Members can unlink their own handles and withdraw their requests, moderators unlink anyone's
+    async handleUnlink(interaction) {
+        const platform = interaction.options.getString('platform', true);
+        const handle = interaction.options.getString('handle', true);
+
+        let existing;
+        try {
+            this.handleLinks.parse(platform, handle);
+            existing = this.handleLinks.getLink(platform, handle);
+        } catch (error) {
+            await interaction.reply({ content: `Handle not unlinked: ${error.message}`, ephemeral: true });
+            return;
+        }
+        if (!existing || (existing.userId !== interaction.user.id && !isModerator(interaction.member))) {
+            const request = await this.handleLinks.withdraw(platform, handle, interaction.user.id);
+            await interaction.reply({
+                content: request
+                    ? `Withdrew your request for ${formatHandle(request)}.`
+                    : existing ? 'You can only unlink your own handles.' : `No member has linked that ${platform} account.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        await this.handleLinks.unlink(platform, handle);
+        await this.auditLog.record({
+            type: 'handle_unlinked',
+            reason: `Unlinked ${existing.platform} account @${existing.handle}`,
+            userId: existing.userId,
+            moderatorId: existing.userId !== interaction.user.id ? interaction.user.id : undefined
+        });
+        await interaction.reply({ content: `Unlinked ${formatHandle(existing)} from <@${existing.userId}>.`, ephemeral: true });
+    }
+
+    async handlePending(interaction) {
+        if (!await this.requireModerator(interaction)) return;
+        const requests = this.handleLinks.getRequests();
+        if (requests.length === 0) {
+            await interaction.reply({ content: 'No link requests are waiting.', ephemeral: true });
+            return;
+        }
+
+        const embed = messages.build('handle-requests', {
+            requests: requests.slice(0, REQUEST_LIST_LIMIT).map(request => {
+                const seconds = Math.floor(new Date(request.requestedAt).getTime() / 1000);
+                return `<@${request.userId}> ${formatHandle(request)} (<t:${seconds}:R>)`;
+            }).join('\n'),
+            count: requests.length
+        }, { locale: interaction.locale });
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    async handleList(interaction) {
+        const user = interaction.options.getUser('member') || interaction.user;
+        const links = this.handleLinks.getLinks(user.id);
+        const requests = this.handleLinks.getRequests(user.id);
+        if (links.length === 0 && requests.length === 0) {
+            await interaction.reply({ content: `${user} has not linked any handles.`, ephemeral: true });
+            return;
+        }
+
+        const embed = messages.build('handle-list', {
+            memberTag: user.tag,
+            handles: links.length > 0 ? links.map(formatHandle).join('\n') : null,
+            requests: requests.length > 0 ? requests.map(formatHandle).join('\n') : null
+        }, { locale: interaction.locale });
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+}
+
+module.exports = HandleCommands;
\ No newline at end of file
@@ -0,0 +1,152 @@
+const { logger } = require('./logger');
+const AtomicJsonFile = require('./atomicJsonFile');
+const { getContentAuthor, getAuthorPlatforms, normalizeHandle } = require('./extractors');
+const { HANDLE_LINKS_FILE } = require('./config');
+
+const log = logger.child({ module: 'handleLinks' });
+
+// Letters, digits, '.', '_' and '-' cover the handles of every platform with an author extractor
+const HANDLE_PATTERN = /^[a-z0-9._-]{1,64}$/;
+
+function linkKey(platform, handle) {
+    return `${platform}:${handle}`;
+}
+
+function requestKey(platform, handle, userId) {
+    return `${platform}:${handle}:${userId}`;
+}
+
+// Social handles linked to members' Discord accounts with /handles (see handleCommands.js).
+// When a URL names its author (x.com/<handle>/status/<id>, see the extractors), the member the
+// handle is linked to is its creator, whoever posted the URL first. Since that exempts the member
+// from duplicate checks on the account's content, members can only request a link: it counts
+// once a moderator who verified the account approves it. Kept in HANDLE_LINKS_FILE.
+class HandleLinks {
+    constructor(filePath = HANDLE_LINKS_FILE) {
+        this.filePath = filePath;
+        this.links = new Map(); // 'platform:handle' -> { platform, handle, userId, linkedBy, linkedAt }
+        this.requests = new Map(); // 'platform:handle:userId' -> { platform, handle, userId, requestedAt }
+        this.file = new AtomicJsonFile(filePath, () => ({
+            links: [...this.links.values()],
+            requests: [...this.requests.values()]
+        }));
+    }
+
+    async load() {
+        const data = await this.file.read();
+        if (!data) return;
+        for (const link of data.links || []) {
+            this.links.set(linkKey(link.platform, link.handle), link);
+        }
+        for (const request of data.requests || []) {
+            this.requests.set(requestKey(request.platform, request.handle, request.userId), request);
+        }
+        log.info(`Loaded ${this.links.size} linked handle(s) and ${this.requests.size} link request(s) from ${this.filePath}`);
+    }
+
+    // Returns { platform, handle } in the form links are kept in, throws when either is invalid
+    parse(platform, handle) {
+        if (!getAuthorPlatforms().includes(platform)) {
+            throw new Error(`Handles can only be linked for ${getAuthorPlatforms().join(', ')}`);
+        }
+        const normalized = normalizeHandle(handle || '');
+        if (!HANDLE_PATTERN.test(normalized)) {
+            throw new Error(`"${handle}" is not a valid handle`);
+        }
+        return { platform, handle: normalized };
+    }
+
+    getLink(platform, handle) {
+        return this.links.get(linkKey(platform, normalizeHandle(handle))) || null;
+    }
+
+    getLinks(userId) {
+        return [...this.links.values()].filter(link => link.userId === userId);
+    }
+
+    // Pending requests of a member, or of everyone, oldest first
+    getRequests(userId = null) {
+        return [...this.requests.values()]
+            .filter(request => !userId || request.userId === userId)
+            .sort((a, b) => a.requestedAt.localeCompare(b.requestedAt));
+    }
+
+    // Throws when the handle is already linked, to this member or another one
+    checkUnlinked(parsed, userId) {
+        const existing = this.getLink(parsed.platform, parsed.handle);
+        if (existing) {
+            throw new Error(existing.userId === userId
+                ? `@${parsed.handle} on ${parsed.platform} is already linked to you`
+                : `@${parsed.handle} on ${parsed.platform} is already linked to <@${existing.userId}>`);
+        }
+    }
+
+    // Several members may request the same handle, the moderator approves the one who owns it.
+    // Returns the new request, throws when the handle is already linked or requested by the member.
+    async request(platform, handle, userId) {
+        const parsed = this.parse(platform, handle);
+        this.checkUnlinked(parsed, userId);
+        const key = requestKey(parsed.platform, parsed.handle, userId);
+        if (this.requests.has(key)) {
+            throw new Error(`You already requested @${parsed.handle} on ${parsed.platform}, a moderator will review it`);
+        }
+
+        const request = { ...parsed, userId, requestedAt: new Date().toISOString() };
+        this.requests.set(key, request);
+        await this.file.persist();
+        return request;
+    }
+
+    // Links the handle for a moderator, directly or by approving the member's request. Every other
+    // request for the handle is dropped. Returns the new link, throws when the handle is taken.
+    async link(platform, handle, userId, linkedBy) {
+        const parsed = this.parse(platform, handle);
+        this.checkUnlinked(parsed, userId);
+
+        const link = { ...parsed, userId, linkedBy, linkedAt: new Date().toISOString() };
+        this.links.set(linkKey(parsed.platform, parsed.handle), link);
+        for (const request of this.getRequests()) {
+            if (request.platform === parsed.platform && request.handle === parsed.handle) {
+                this.requests.delete(requestKey(request.platform, request.handle, request.userId));
+            }
+        }
+        await this.file.persist();
+        return link;
+    }
+
+    // Returns the removed request, or null when the member hadn't requested the handle
+    async withdraw(platform, handle, userId) {
+        const parsed = this.parse(platform, handle);
+        const key = requestKey(parsed.platform, parsed.handle, userId);
+        const request = this.requests.get(key);
+        if (!request) return null;
+
+        this.requests.delete(key);
+        await this.file.persist();
+        return request;
+    }
+
+    // Returns the removed link, or null when the handle wasn't linked
+    async unlink(platform, handle) {
+        const parsed = this.parse(platform, handle);
+        const existing = this.getLink(parsed.platform, parsed.handle);
+        if (!existing) return null;
+
+        this.links.delete(linkKey(parsed.platform, parsed.handle));
+        await this.file.persist();
+        return existing;
+    }
+
+    // The link of the account a URL was posted by, or null when the URL doesn't name one or
+    // nobody linked it
+    findCreator(url) {
+        const author = getContentAuthor(url);
+        return author ? this.getLink(author.platform, author.handle) : null;
+    }
+
+    async shutdown() {
+        await this.file.flush();
+    }
+}
+
+module.exports = HandleLinks;
\ No newline at end of file
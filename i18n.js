@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const AtomicJsonFile = require('./atomicJsonFile');
+const { DEFAULT_LOCALE, MEMBER_LOCALES_FILE } = require('./config');
+
+const log = logger.child({ module: 'i18n' });
+
+// One catalog per file, named after the locale (ru.json, es.json). English is built into
+// messageBuilder.js and is the reference every catalog is checked against.
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const BASE_LOCALE = 'en';
+
+// Discord locale codes: 'ru', 'es-ES', 'es-419', 'pt-BR', ...
+function isLocale(value) {
+    return typeof value === 'string' && /^[a-z]{2}(-([A-Z]{2}|\d{3}))?$/.test(value);
+}
+
+// 'es-419' -> ['es-419', 'es', DEFAULT_LOCALE, 'en'], without duplicates
+function fallbackChain(locale) {
+    const chain = [];
+    for (const candidate of [locale, locale?.split('-')[0], DEFAULT_LOCALE, DEFAULT_LOCALE.split('-')[0], BASE_LOCALE]) {
+        if (candidate && !chain.includes(candidate)) chain.push(candidate);
+    }
+    return chain;
+}
+
+function loadCatalogs(dir = LOCALES_DIR) {
+    const catalogs = new Map(); // locale -> { templateName: template }
+    if (!fs.existsSync(dir)) return catalogs;
+
+    for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+        const locale = path.basename(file, '.json');
+        try {
+            catalogs.set(locale, JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+        } catch (error) {
+            throw new Error(`Locale catalog ${file} is not valid JSON: ${error.message}`);
+        }
+    }
+    return catalogs;
+}
+
+function formatNumber(value, locale) {
+    return new Intl.NumberFormat(locale).format(value);
+}
+
+// forms is 'one=# URL|other=# URLs', # stands for the number. The plural categories a
+// language uses (one, few, many, other, ...) come from Intl.PluralRules; '=0=No URLs' (like
+// ICU's =0) takes precedence for exactly that number.
+function pluralize(count, forms, locale) {
+    const byCategory = {};
+    for (const form of forms.split('|')) {
+        const separator = form.indexOf('=', form.startsWith('=') ? 1 : 0);
+        if (separator > 0) byCategory[form.slice(0, separator).trim()] = form.slice(separator + 1);
+    }
+    const category = new Intl.PluralRules(locale).select(Number(count));
+    const text = byCategory[`=${Number(count)}`] ?? byCategory[category] ?? byCategory.other ?? '#';
+    return text.replace(/#/g, formatNumber(Number(count), locale));
+}
+
+// Discord renders <t:...> in every reader's own language and timezone. Returns null for
+// values that aren't a date.
+function formatTimestamp(value, style = 'R') {
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? null : `<t:${Math.floor(time / 1000)}:${style}>`;
+}
+
+// Discord only tells a member's locale in interactions, so the last one seen per member is
+// kept in MEMBER_LOCALES_FILE and used for their notices.
+class MemberLocales {
+    constructor(filePath = MEMBER_LOCALES_FILE) {
+        this.filePath = filePath;
+        this.locales = new Map(); // userId -> locale
+        this.file = new AtomicJsonFile(filePath, () => Object.fromEntries(this.locales));
+    }
+
+    async init() {
+        const data = await this.file.read();
+        if (!data) return;
+        for (const [userId, locale] of Object.entries(data)) {
+            if (!this.locales.has(userId)) this.locales.set(userId, locale);
+        }
+        log.info(`Loaded the locales of ${this.locales.size} member(s)`);
+    }
+
+    remember(userId, locale) {
+        if (!isLocale(locale) || this.locales.get(userId) === locale) return;
+        this.locales.set(userId, locale);
+        this.file.persist().catch(error => log.error(`Error saving member locales: ${error.message}`));
+    }
+
+    // Member's own locale, then the first of forum.options.roleLocales the member has, then
+    // the forum's locale. messageBuilder.js falls back further (see fallbackChain).
+    localeFor(member, forum) {
+        const remembered = member && this.locales.get(member.id);
+        if (remembered) return remembered;
+
+        const roleLocales = forum?.options.roleLocales || {};
+        const roleId = member?.roles?.cache && Object.keys(roleLocales).find(id => member.roles.cache.has(id));
+        if (roleId) return roleLocales[roleId];
+
+        return forum?.options.locale || DEFAULT_LOCALE;
+    }
+
+    async shutdown() {
+        await this.file.flush();
+    }
+}
+
+const memberLocales = new MemberLocales();
+
+module.exports = {
+    MemberLocales,
+    memberLocales,
+    isLocale,
+    fallbackChain,
+    loadCatalogs,
+    formatNumber,
+    pluralize,
+    formatTimestamp,
+    LOCALES_DIR,
+    BASE_LOCALE
+};
\ No newline at end of file
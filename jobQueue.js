@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const AtomicJsonFile = require('./atomicJsonFile');
+const { JOB_QUEUE_FILE, JOB_RETRY_BASE_DELAY, JOB_RETRY_MAX_DELAY, JOB_MAX_ATTEMPTS } = require('./config');
+
+const log = logger.child({ module: 'jobQueue' });
+
+const FAILED_JOB_LIMIT = 100; // Failed jobs kept for inspection, oldest are dropped first
+
+// Bugs and requests Discord rejects (4xx other than rate limits) fail the same way every time
+function isPermanentError(error) {
+    return error instanceof TypeError || error instanceof ReferenceError || error instanceof RangeError
+        || (error.status >= 400 && error.status < 500 && error.status !== 429);
+}
+
+// Durable queue for work that must survive a restart (delayed URL checks, registry writes).
+// Every job is kept in JOB_QUEUE_FILE until its handler succeeds; a failing handler is retried
+// with exponential backoff, capped at JOB_RETRY_MAX_DELAY. Jobs failing with a permanent error
+// or JOB_MAX_ATTEMPTS times are moved to the file's failed list and not run again.
+// Handlers that find nothing left to do (message deleted, forum removed) just return.
+class JobQueue {
+    constructor(filePath = JOB_QUEUE_FILE) {
+        this.filePath = filePath;
+        this.handlers = new Map(); // type -> async handler(payload, job)
+        this.jobs = new Map(); // id -> { id, type, payload, attempts, runAt, createdAt }
+        this.timers = new Map(); // id -> timeout
+        this.failed = []; // { ...job, error, failedAt }, oldest first
+        this.started = false;
+        this.file = new AtomicJsonFile(filePath, () => ({ jobs: [...this.jobs.values()], failed: this.failed }));
+    }
+
+    register(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    // Jobs enqueued before init are kept, the file only adds to them. A corrupt file is moved
+    // aside (see atomicJsonFile.js) so its jobs can still be recovered by hand.
+    async init() {
+        const data = await this.file.read() || { jobs: [] };
+
+        this.failed = [...(data.failed || []), ...this.failed].slice(-FAILED_JOB_LIMIT);
+
+        for (const job of data.jobs || []) {
+            if (!this.jobs.has(job.id)) {
+                this.jobs.set(job.id, job);
+            }
+        }
+        if (this.jobs.size > 0) {
+            log.info(`Loaded ${this.jobs.size} pending job(s) from ${this.filePath}`);
+        }
+    }
+
+    // Starts running jobs, called once the handlers' dependencies are ready
+    start() {
+        this.started = true;
+        for (const job of this.jobs.values()) {
+            this.schedule(job);
+        }
+    }
+
+    // Resolves once the job is on disk
+    async enqueue(type, payload, delay = 0) {
+        if (!this.handlers.has(type)) {
+            throw new Error(`No handler registered for job type ${type}`);
+        }
+
+        const now = Date.now();
+        const job = { id: crypto.randomUUID(), type, payload, attempts: 0, runAt: now + delay, createdAt: now };
+        this.jobs.set(job.id, job);
+        await this.file.persist();
+        if (this.started) {
+            this.schedule(job);
+        }
+        return job;
+    }
+
+    // Jobs of the type not done yet, including the ones running right now
+    getPending(type) {
+        return [...this.jobs.values()].filter(job => job.type === type);
+    }
+
+    schedule(job) {
+        clearTimeout(this.timers.get(job.id));
+        const timer = setTimeout(() => this.run(job), Math.max(0, job.runAt - Date.now()));
+        this.timers.set(job.id, timer);
+    }
+
+    getRetryDelay(attempts) {
+        return Math.min(JOB_RETRY_BASE_DELAY * 2 ** (attempts - 1), JOB_RETRY_MAX_DELAY);
+    }
+
+    async run(job) {
+        this.timers.delete(job.id);
+        const handler = this.handlers.get(job.type);
+
+        try {
+            if (!handler) {
+                throw new Error(`No handler registered for job type ${job.type}`);
+            }
+            await handler(job.payload, job);
+            this.jobs.delete(job.id);
+        } catch (error) {
+            job.attempts++;
+            if (!handler || isPermanentError(error) || job.attempts >= JOB_MAX_ATTEMPTS) {
+                this.fail(job, error);
+                await this.file.persist().catch(persistError => log.error(`Error saving job queue: ${persistError.message}`));
+                return;
+            }
+            job.runAt = Date.now() + this.getRetryDelay(job.attempts);
+            log.warn(`Job ${job.type} failed (attempt ${job.attempts}), retrying in ${Math.round((job.runAt - Date.now()) / 1000)}s: ${error.message}`, { jobId: job.id });
+            if (this.started) {
+                this.schedule(job);
+            }
+        }
+
+        await this.file.persist().catch(error => log.error(`Error saving job queue: ${error.message}`));
+    }
+
+    fail(job, error) {
+        this.jobs.delete(job.id);
+        this.failed.push({ ...job, error: error.message, failedAt: Date.now() });
+        this.failed = this.failed.slice(-FAILED_JOB_LIMIT);
+        log.error(`Job ${job.type} failed for good after ${job.attempts} attempt(s), moved to the failed list: ${error.message}`, { jobId: job.id });
+    }
+
+    // Jobs still pending (or running) stay in the file and are replayed on the next start
+    async shutdown() {
+        this.started = false;
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+        await this.file.flush();
+        log.info(`Job queue stopped with ${this.jobs.size} pending job(s)`);
+    }
+}
+
+module.exports = JobQueue;
\ No newline at end of file
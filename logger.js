@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const { LOG_LEVEL, LOG_FORMAT, LOG_FILE, LOG_MAX_SIZE, LOG_MAX_FILES } = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, fatal: 50 };
+
+function formatTimestamp(date) {
+    return date.toISOString()
+        .replace('T', ' ')
+        .replace(/\.\d+Z$/, '');
+}
+
+function formatValue(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return /\s/.test(text) ? JSON.stringify(text) : text;
+}
+
+// [2025-02-10 19:15:07] [INFO] [urlStore] message key=value ...
+function formatText(record) {
+    const { time, level, module, msg, ...fields } = record;
+    const context = Object.entries(fields)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `${key}=${formatValue(value)}`)
+        .join(' ');
+    const prefix = `[${formatTimestamp(time)}] [${level.toUpperCase()}]${module ? ` [${module}]` : ''}`;
+    return `${prefix} ${msg}${context ? ` ${context}` : ''}`;
+}
+
+class ConsoleSink {
+    write(line, level) {
+        if (LEVELS[level] >= LEVELS.error) {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+    }
+}
+
+// Rolls <file> over to <file>.1 (then .2, ...) once it reaches maxSize bytes, keeping maxFiles old files.
+// Writes are synchronous so lines logged right before a crash still reach the disk.
+class RotatingFileSink {
+    constructor(filePath, maxSize, maxFiles) {
+        this.filePath = filePath;
+        this.maxSize = maxSize;
+        this.maxFiles = maxFiles;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    }
+
+    rotate() {
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            const source = `${this.filePath}.${i}`;
+            if (fs.existsSync(source)) {
+                fs.renameSync(source, `${this.filePath}.${i + 1}`);
+            }
+        }
+        if (this.maxFiles > 0) {
+            fs.renameSync(this.filePath, `${this.filePath}.1`);
+        } else {
+            fs.unlinkSync(this.filePath);
+        }
+        this.size = 0;
+    }
+
+    write(line) {
+        const data = `${line}\n`;
+        try {
+            if (this.size > 0 && this.size + Buffer.byteLength(data) > this.maxSize) {
+                this.rotate();
+            }
+            fs.appendFileSync(this.filePath, data);
+            this.size += Buffer.byteLength(data);
+        } catch (error) {
+            console.error(`Failed to write log file ${this.filePath}: ${error.message}`);
+        }
+    }
+}
+
+// Leveled logger. Context fields (userId, threadId, guildId, messageId, ...) are passed as the
+// second argument, child() binds fields such as the module name to every line it logs.
+class Logger {
+    constructor({ level = 'info', format = 'text', sinks = [], bindings = {} } = {}) {
+        if (!(level in LEVELS)) {
+            throw new Error(`Unknown log level: ${level}`);
+        }
+        this.level = level;
+        this.format = format;
+        this.sinks = sinks;
+        this.bindings = bindings;
+    }
+
+    child(bindings) {
+        return new Logger({
+            level: this.level,
+            format: this.format,
+            sinks: this.sinks,
+            bindings: { ...this.bindings, ...bindings }
+        });
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    log(level, message, fields = {}) {
+        if (!this.isLevelEnabled(level)) return;
+
+        const record = { time: new Date(), level, ...this.bindings, msg: message, ...fields };
+        const line = this.format === 'json'
+            ? JSON.stringify({ ...record, time: record.time.toISOString() })
+            : formatText(record);
+        this.sinks.forEach(sink => sink.write(line, level));
+    }
+
+    debug(message, fields) { this.log('debug', message, fields); }
+    info(message, fields) { this.log('info', message, fields); }
+    warn(message, fields) { this.log('warn', message, fields); }
+    error(message, fields) { this.log('error', message, fields); }
+    fatal(message, fields) { this.log('fatal', message, fields); }
+}
+
+// Context fields for log lines about a member's message
+function messageContext(message) {
+    return {
+        guildId: message.guild?.id,
+        threadId: message.channel?.id,
+        userId: message.author?.id,
+        messageId: message.id
+    };
+}
+
+function createLogger(options = {}) {
+    const sinks = [new ConsoleSink()];
+    const filePath = options.file !== undefined ? options.file : LOG_FILE;
+    if (filePath) {
+        sinks.push(new RotatingFileSink(filePath, options.maxSize || LOG_MAX_SIZE, options.maxFiles ?? LOG_MAX_FILES));
+    }
+    return new Logger({
+        level: options.level || LOG_LEVEL,
+        format: options.format || LOG_FORMAT,
+        sinks
+    });
+}
+
+// Shared root logger, modules log through a child: logger.child({ module: 'urlStore' })
+const logger = createLogger();
+
+module.exports = {
+    logger,
+    Logger,
+    createLogger,
+    messageContext,
+    LEVELS
+};
\ No newline at end of file
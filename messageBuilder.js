@@ -0,0 +1,574 @@
+const fs = require('fs');
+const { EmbedBuilder } = require('discord.js');
+const { logger } = require('./logger');
+const { MESSAGE_TEMPLATES } = require('./config');
+const {
+    isLocale,
+    fallbackChain,
+    loadCatalogs,
+    formatNumber,
+    pluralize,
+    formatTimestamp,
+    LOCALES_DIR,
+    BASE_LOCALE
+} = require('./i18n');
+
+const log = logger.child({ module: 'messageBuilder' });
+
+const DEFAULT_BRANDING = {
+    footerText: 'Botanix Labs',
+    footerIcon: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
+};
+const BRANDING_FIELDS = Object.keys(DEFAULT_BRANDING);
+
+// Placeholders are {{name}}, {{name:time}} for a Discord timestamp (relative unless a style is
+// given, e.g. {{name:time:f}}) and {{name:plural:one=# URL|other=# URLs}} (see pluralize in i18n.js). A field whose
+// placeholders aren't all given is left out, which is how optional fields work (e.g. "Instead of"
+// only when the previous thread is known); in titles and descriptions a missing placeholder is
+// left empty. These are the English texts, locales/ holds the translations.
+const DEFAULT_TEMPLATES = {
+    'wrong-thread': {
+        color: '#f2b518',
+        description: '{{member}}, please use the thread that matches your highest role.\nYour message has been removed because it was posted to a wrong thread.',
+        fields: [
+            { name: "Here's the right one for you:", value: '<#{{threadId}}>' },
+            { name: 'Your message content:', value: '{{content}}' },
+            { name: 'Your message content:', value: '{{attachments:plural:=0=No content|one=User uploaded a file|other=User uploaded # files}}' }
+        ]
+    },
+    'wrong-thread-relayed': {
+        color: '#f2b518',
+        description: '{{member}}, please use the thread that matches your highest role.\nYour message has been moved there because it was posted to a wrong thread.',
+        fields: [
+            { name: "Here's the right one for you:", value: '<#{{threadId}}>' },
+            { name: 'Your message:', value: '[Jump to it]({{messageUrl}})' }
+        ]
+    },
+    'duplicate-other-author': {
+        color: '#ff0000',
+        title: '{{member}}, Only your own content is allowed',
+        description: 'This URL was previously shared by another user {{postedAt:time}}',
+        fields: [
+            { name: 'Original Poster', value: '{{originalPoster}}' },
+            { name: 'Original Channel', value: '<#{{originalThreadId}}>' },
+            { name: 'URL', value: '{{url}}' }
+        ]
+    },
+    'duplicate-self-other-thread': {
+        color: '#ff0000',
+        title: '{{member}}, You have posted this before',
+        description: 'You shared this URL in a different thread {{postedAt:time}}',
+        fields: [
+            { name: 'Original Thread', value: '<#{{originalThreadId}}>' },
+            { name: 'URL', value: '{{url}}' }
+        ]
+    },
+    'duplicate-self-same-thread': {
+        color: '#ff0000',
+        title: '{{member}}, You have posted this before',
+        description: 'You already shared this URL in this thread {{postedAt:time}}',
+        fields: [
+            { name: 'Original Message', value: '[Click to view]({{originalMessageUrl}})' },
+            { name: 'URL', value: '{{url}}' }
+        ]
+    },
+    'duplicate-other-creator': {
+        color: '#ff0000',
+        title: '{{member}}, Only your own content is allowed',
+        description: 'This content was posted by {{platform}} account @{{handle}}, which belongs to another member',
+        fields: [
+            { name: 'Account Owner', value: '<@{{ownerId}}>' },
+            { name: 'URL', value: '{{url}}' }
+        ]
+    },
+    'fetch-report': {
+        color: '#0099ff',
+        title: 'URLs fetched',
+        description: 'Found {{urls:plural:one=# URL|other=# URLs}} in channel: {{channelId}}',
+        fields: [
+            { name: 'Scanned', value: '{{threads:plural:one=# thread|other=# threads}}, {{messages:plural:one=# message|other=# messages}}' },
+            { name: 'Storage Status', value: '{{added}} added, {{updated}} updated, {{unchanged}} unchanged' }
+        ]
+    },
+    'rate-limit': {
+        color: '#ff9900',
+        description: '{{member}}, you are posting too fast. Please wait a moment, at most {{maxRequests:plural:one=# message is|other=# messages are}} allowed within {{windowSeconds:plural:one=# second|other=# seconds}}.'
+    },
+    'dispute-submitted': {
+        color: '#0099ff',
+        title: 'Claim sent to the moderators',
+        description: 'Moderators will review your claim on {{url}} and let you know their decision by DM.'
+    },
+    'dispute-approved': {
+        color: '#00cc66',
+        title: 'Your claim was approved',
+        description: '{{member}}, moderators agreed that {{url}} is your content. You can post it from now on.'
+    },
+    'dispute-rejected': {
+        color: '#808080',
+        title: 'Your claim was rejected',
+        description: '{{member}}, moderators decided that {{url}} stays with the member who posted it first.'
+    },
+    // Not posted: the labels of the Contest button under a duplicate warning, the title when
+    // the warning has one button, the description when it has one per URL
+    'dispute-contest': {
+        title: 'This is my content',
+        description: 'Contest URL {{number}}'
+    },
+    // Not posted: the form a member fills in to contest a warning, its title, question and hint
+    'dispute-form': {
+        title: 'Contest URL ownership',
+        fields: [
+            { name: 'Why is this content yours?', value: 'E.g. a link to your profile showing you are the author' }
+        ]
+    },
+    'dispute-expired': {
+        color: '#808080',
+        description: 'This dispute has expired.'
+    },
+    'dispute-not-claimant': {
+        color: '#ff9900',
+        description: 'Only the member who was warned can contest this.'
+    },
+    'dispute-already-contested': {
+        color: '#ff9900',
+        description: 'This URL has already been contested.'
+    },
+    'dispute-window-closed': {
+        color: '#808080',
+        description: 'This warning can no longer be contested.'
+    },
+    'dispute-failed': {
+        color: '#ff0000',
+        description: 'An error occurred while processing the dispute.'
+    },
+    'dispute-moderators-only': {
+        color: '#ff9900',
+        description: 'Only moderators can decide disputes.'
+    },
+    'dispute-already-approved': {
+        color: '#808080',
+        description: 'This dispute was already approved by <@{{moderatorId}}>.'
+    },
+    'dispute-already-rejected': {
+        color: '#808080',
+        description: 'This dispute was already rejected by <@{{moderatorId}}>.'
+    },
+    'dispute-registry-closed': {
+        color: '#ff0000',
+        description: 'The URL registry {{registry}} is no longer open.'
+    },
+    'dispute-queue-open': {
+        color: '#ff9900',
+        title: 'Ownership dispute: open',
+        description: '{{url}}',
+        fields: [
+            { name: 'Claimant', value: '<@{{claimantId}}> ({{claimantTag}})', inline: true },
+            { name: 'Current Owner', value: '{{owner}}', inline: true },
+            { name: 'Registry', value: '{{registry}}', inline: true },
+            { name: 'Claimant Post', value: '[Jump to it]({{messageUrl}})', inline: true },
+            { name: 'Original Post', value: '[Jump to it]({{originalMessageUrl}})', inline: true },
+            { name: 'Proof', value: '{{proof}}' },
+            { name: 'Claimant Message', value: '{{content}}' }
+        ]
+    },
+    'dispute-queue-approved': {
+        color: '#00cc66',
+        title: 'Ownership dispute: approved',
+        description: '{{url}}',
+        fields: [
+            { name: 'Claimant', value: '<@{{claimantId}}> ({{claimantTag}})', inline: true },
+            { name: 'Current Owner', value: '{{owner}}', inline: true },
+            { name: 'Registry', value: '{{registry}}', inline: true },
+            { name: 'Claimant Post', value: '[Jump to it]({{messageUrl}})', inline: true },
+            { name: 'Original Post', value: '[Jump to it]({{originalMessageUrl}})', inline: true },
+            { name: 'Proof', value: '{{proof}}' },
+            { name: 'Claimant Message', value: '{{content}}' },
+            { name: 'Decision', value: 'Approved by <@{{moderatorId}}>' },
+            { name: 'Note', value: '{{note}}' }
+        ]
+    },
+    'dispute-queue-rejected': {
+        color: '#808080',
+        title: 'Ownership dispute: rejected',
+        description: '{{url}}',
+        fields: [
+            { name: 'Claimant', value: '<@{{claimantId}}> ({{claimantTag}})', inline: true },
+            { name: 'Current Owner', value: '{{owner}}', inline: true },
+            { name: 'Registry', value: '{{registry}}', inline: true },
+            { name: 'Claimant Post', value: '[Jump to it]({{messageUrl}})', inline: true },
+            { name: 'Original Post', value: '[Jump to it]({{originalMessageUrl}})', inline: true },
+            { name: 'Proof', value: '{{proof}}' },
+            { name: 'Claimant Message', value: '{{content}}' },
+            { name: 'Decision', value: 'Rejected by <@{{moderatorId}}>' },
+            { name: 'Note', value: '{{note}}' }
+        ]
+    },
+    'url-lookup': {
+        color: '#0099ff',
+        title: 'URL lookup',
+        description: '{{url}}',
+        fields: [
+            { name: 'First Posted By', value: '{{originalPoster}}' },
+            { name: 'Where', value: '<#{{threadId}}>' },
+            { name: 'When', value: '{{postedAt:time:f}} ({{postedAt:time}})' },
+            { name: 'Original Message', value: '[Click to view]({{originalMessageUrl}})' },
+            { name: 'Ownership Disputes', value: '{{disputes}}' }
+        ]
+    },
+    'url-user': {
+        color: '#0099ff',
+        title: 'URLs posted by {{memberTag}}',
+        description: '{{list}}',
+        fields: [
+            { name: 'Shown', value: '{{shown}} of {{total:plural:one=# URL|other=# URLs}}' }
+        ]
+    },
+    'url-stats': {
+        color: '#0099ff',
+        title: 'URL registry statistics: {{registry}}',
+        fields: [
+            { name: 'Total URLs', value: '{{total}}', inline: true },
+            { name: 'Channels', value: '{{channels}}', inline: true },
+            { name: 'Storage Backend', value: '{{backend}}', inline: true },
+            { name: 'Busiest Channels', value: '{{list}}' }
+        ]
+    },
+    'tier-history': {
+        color: '#0099ff',
+        title: 'Tier history of {{memberTag}}',
+        description: '{{list}}'
+    },
+    // One field per forum is added by routingCommands.js
+    'routing-overview': {
+        color: '#0099ff',
+        title: 'Thread routing',
+        description: 'Loaded from {{source}}'
+    },
+    'tier-change': {
+        color: '#0099ff',
+        title: 'Your posting thread changed',
+        description: '{{member}}, your roles in {{guildName}} changed, so {{forumName}} posts now go to a different thread.',
+        fields: [
+            { name: 'Post here from now on', value: '<#{{threadId}}>' },
+            { name: 'Instead of', value: '<#{{previousThreadId}}>' }
+        ]
+    },
+    'handle-list': {
+        color: '#0099ff',
+        title: 'Linked handles of {{memberTag}}',
+        fields: [
+            { name: 'Linked', value: '{{handles}}' },
+            { name: 'Awaiting verification', value: '{{requests}}' }
+        ]
+    },
+    'handle-requests': {
+        color: '#ff9900',
+        title: '{{count:plural:one=# handle link request|other=# handle link requests}}',
+        description: '{{requests}}',
+        fields: [
+            { name: 'Next step', value: 'Check that the account is the member\'s, then use /handles approve or /handles reject' }
+        ]
+    }
+};
+
+// Discord's embed limits
+const LIMITS = { title: 256, description: 4096, fieldName: 256, fieldValue: 1024, footerText: 2048 };
+const PLACEHOLDER = /\{\{(\w+)(?::(\w+)(?::([^}]*))?)?\}\}/g;
+const TEXT_FIELDS = ['title', 'description'];
+
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.substring(0, maxLength - 3)}...` : text;
+}
+
+function isColor(value) {
+    return typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value);
+}
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function formatValue(value, format, argument, locale) {
+    if (format === 'time') return formatTimestamp(value, argument || 'R');
+    if (format === 'plural') return pluralize(value, argument || '', locale);
+    return typeof value === 'number' ? formatNumber(value, locale) : String(value);
+}
+
+// Returns null when a placeholder has no value and the text is required to be complete
+function fill(text, vars, locale, complete = false) {
+    let missing = false;
+    const filled = text.replace(PLACEHOLDER, (match, name, format, argument) => {
+        const value = isMissing(vars[name]) ? null : formatValue(vars[name], format, argument, locale);
+        if (isMissing(value)) {
+            missing = true;
+            return '';
+        }
+        return value;
+    });
+    return missing && complete ? null : filled;
+}
+
+// 'duplicate-self-same-thread.fields.0.value' -> text, for every text of a set of templates
+function flattenTexts(templates) {
+    const texts = {};
+    for (const [name, template] of Object.entries(templates)) {
+        for (const field of TEXT_FIELDS) {
+            if (template[field] !== undefined) texts[`${name}.${field}`] = template[field];
+        }
+        (template.fields || []).forEach((field, index) => {
+            texts[`${name}.fields.${index}.name`] = field.name;
+            texts[`${name}.fields.${index}.value`] = field.value;
+        });
+    }
+    return texts;
+}
+
+function placeholderNames(text) {
+    return [...text.matchAll(PLACEHOLDER)].map(match => match[1]).sort().join(',');
+}
+
+// Compares a catalog with the English templates: every text must exist, nothing else may,
+// and each translation must use the same placeholders as the English text.
+function findCatalogProblems(catalog) {
+    const problems = [];
+    const reference = flattenTexts(DEFAULT_TEMPLATES);
+    const texts = flattenTexts(catalog);
+
+    for (const [key, text] of Object.entries(reference)) {
+        if (!(key in texts)) {
+            problems.push(`${key} is missing`);
+        } else if (placeholderNames(texts[key]) !== placeholderNames(text)) {
+            problems.push(`${key} uses different placeholders than the English text`);
+        }
+    }
+    for (const key of Object.keys(texts)) {
+        if (!(key in reference)) problems.push(`${key} doesn't exist in the English templates`);
+    }
+    return problems;
+}
+
+function validateBranding(branding, at, errors) {
+    if (typeof branding !== 'object' || branding === null || Array.isArray(branding)) {
+        errors.push(`${at} must be an object`);
+        return;
+    }
+    for (const [field, value] of Object.entries(branding)) {
+        if (field === 'color') {
+            if (!isColor(value)) errors.push(`${at}.color must be a #rrggbb color`);
+        } else if (!BRANDING_FIELDS.includes(field)) {
+            errors.push(`${at}.${field} is not a known setting (${[...BRANDING_FIELDS, 'color'].join(', ')})`);
+        } else if (typeof value !== 'string') {
+            errors.push(`${at}.${field} must be a string`);
+        }
+    }
+}
+
+// Collects every problem instead of stopping at the first, like the routing config
+function validateTemplates(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object') {
+        return ['the file must contain a JSON object'];
+    }
+    if (data.branding !== undefined) {
+        validateBranding(data.branding, 'branding', errors);
+    }
+    validateTemplateSet(data.templates, 'templates', errors);
+
+    if (data.locales !== undefined) {
+        if (typeof data.locales !== 'object' || data.locales === null || Array.isArray(data.locales)) {
+            errors.push('locales must be an object of locale -> templates');
+        } else {
+            for (const [locale, templates] of Object.entries(data.locales)) {
+                if (!isLocale(locale)) {
+                    errors.push(`locales.${locale} is not a Discord locale code (e.g. ru, es-ES)`);
+                }
+                validateTemplateSet(templates, `locales.${locale}`, errors);
+            }
+        }
+    }
+    return errors;
+}
+
+function validateTemplateSet(templates, at, errors) {
+    if (templates === undefined) return;
+    if (typeof templates !== 'object' || templates === null || Array.isArray(templates)) {
+        errors.push(`${at} must be an object of template name -> template`);
+        return;
+    }
+
+    for (const [name, template] of Object.entries(templates)) {
+        const templateAt = `${at}.${name}`;
+        if (!(name in DEFAULT_TEMPLATES)) {
+            errors.push(`${templateAt} is not a known template (${Object.keys(DEFAULT_TEMPLATES).join(', ')})`);
+            continue;
+        }
+        if (typeof template !== 'object' || template === null || Array.isArray(template)) {
+            errors.push(`${templateAt} must be an object`);
+            continue;
+        }
+        if (template.color !== undefined && !isColor(template.color)) {
+            errors.push(`${templateAt}.color must be a #rrggbb color`);
+        }
+        for (const field of TEXT_FIELDS) {
+            if (template[field] !== undefined && typeof template[field] !== 'string') {
+                errors.push(`${templateAt}.${field} must be a string`);
+            }
+        }
+        if (template.fields !== undefined) {
+            if (!Array.isArray(template.fields)
+                || !template.fields.every(field => typeof field?.name === 'string' && typeof field?.value === 'string')) {
+                errors.push(`${templateAt}.fields must be an array of { "name": "...", "value": "..." }`);
+            }
+        }
+    }
+}
+
+// Renders the notices the bot posts from named templates. Defaults live above, MESSAGE_TEMPLATES
+// (see messages.example.json) overrides them per template and sets the default branding; a
+// forum's branding option overrides that again. Each notice is rendered in the reader's locale,
+// falling back through fallbackChain() (see i18n.js) to English. render() returns plain embed
+// data, so output can be compared as JSON snapshots (see scripts/renderTemplates.js).
+class MessageBuilder {
+    constructor(filePath = MESSAGE_TEMPLATES, localesDir = LOCALES_DIR) {
+        this.filePath = filePath;
+        this.localesDir = localesDir;
+        this.templates = { ...DEFAULT_TEMPLATES };
+        this.catalogs = new Map(); // locale -> { templateName: template }, English excluded
+        this.branding = { ...DEFAULT_BRANDING };
+    }
+
+    loadCatalogs() {
+        const catalogs = loadCatalogs(this.localesDir);
+        const errors = [];
+        for (const [locale, catalog] of catalogs) {
+            if (!isLocale(locale)) {
+                errors.push(`${locale}.json is not named after a Discord locale code (e.g. ru, es-ES)`);
+            }
+            validateTemplateSet(catalog, locale, errors);
+        }
+        if (errors.length > 0) {
+            throw new Error(`Invalid locale catalogs (${this.localesDir}):\n  ${errors.join('\n  ')}`);
+        }
+
+        // Incomplete catalogs still work, the missing texts fall back to English
+        for (const [locale, catalog] of catalogs) {
+            const problems = findCatalogProblems(catalog);
+            if (problems.length > 0) {
+                log.warn(`Locale catalog ${locale} is incomplete, run scripts/checkLocales.js: ${problems.length} problem(s)`);
+            }
+        }
+        return catalogs;
+    }
+
+    // Keeps the defaults when the file doesn't exist, throws when it or a catalog is invalid
+    load() {
+        const catalogs = this.loadCatalogs();
+        if (!fs.existsSync(this.filePath)) {
+            log.info(`${this.filePath} not found, using the default message templates`);
+            this.catalogs = catalogs;
+            return this;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`${this.filePath} is not valid JSON: ${error.message}`);
+        }
+        const errors = validateTemplates(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid message templates (${this.filePath}):\n  ${errors.join('\n  ')}`);
+        }
+
+        this.templates = { ...DEFAULT_TEMPLATES };
+        for (const [name, template] of Object.entries(data.templates || {})) {
+            this.templates[name] = { ...DEFAULT_TEMPLATES[name], ...template };
+        }
+        for (const [locale, templates] of Object.entries(data.locales || {})) {
+            const catalog = { ...(catalogs.get(locale) || {}) };
+            for (const [name, template] of Object.entries(templates)) {
+                catalog[name] = { ...catalog[name], ...template };
+            }
+            catalogs.set(locale, catalog);
+        }
+        this.catalogs = catalogs;
+        this.branding = { ...DEFAULT_BRANDING, ...(data.branding || {}) };
+        log.info(`Loaded ${Object.keys(data.templates || {}).length} message template override(s) from ${this.filePath}`);
+        return this;
+    }
+
+    getLocales() {
+        return [BASE_LOCALE, ...this.catalogs.keys()];
+    }
+
+    // The template in the first locale of the chain that has it; colors and texts a
+    // translation leaves out come from the English template
+    resolve(name, locale) {
+        for (const candidate of fallbackChain(locale)) {
+            if (candidate === BASE_LOCALE) break;
+            const translation = this.catalogs.get(candidate)?.[name];
+            if (translation) {
+                return { template: { ...this.templates[name], ...translation }, locale: candidate };
+            }
+        }
+        return { template: this.templates[name], locale: BASE_LOCALE };
+    }
+
+    // Plain embed data (color as a number), deterministic for the same input
+    render(name, vars = {}, { branding = {}, locale } = {}) {
+        if (!this.templates[name]) {
+            throw new Error(`Unknown message template: ${name}`);
+        }
+        const { template, locale: resolvedLocale } = this.resolve(name, locale);
+        const { footerText, footerIcon, color } = { ...this.branding, ...branding };
+
+        const embed = { color: parseInt((color || template.color || '#0099ff').slice(1), 16) };
+        const title = template.title && fill(template.title, vars, resolvedLocale).trim();
+        if (title) {
+            embed.title = truncate(title, LIMITS.title);
+        }
+        const description = template.description && fill(template.description, vars, resolvedLocale).trim();
+        if (description) {
+            embed.description = truncate(description, LIMITS.description);
+        }
+
+        const fields = (template.fields || [])
+            .map(field => ({
+                field,
+                name: fill(field.name, vars, resolvedLocale, true),
+                value: fill(field.value, vars, resolvedLocale, true)
+            }))
+            .filter(({ name, value }) => name && value)
+            .map(({ field, name, value }) => ({
+                name: truncate(name, LIMITS.fieldName),
+                value: truncate(value, LIMITS.fieldValue),
+                ...(field.inline ? { inline: true } : {})
+            }));
+        if (fields.length > 0) {
+            embed.fields = fields;
+        }
+
+        if (footerText) {
+            embed.footer = { text: truncate(footerText, LIMITS.footerText), ...(footerIcon ? { icon_url: footerIcon } : {}) };
+        }
+        return embed;
+    }
+
+    // options: { branding, locale }, both optional
+    build(name, vars = {}, options = {}) {
+        return new EmbedBuilder(this.render(name, vars, options)).setTimestamp();
+    }
+}
+
+// Shared by every module that posts notices, notificator.js loads the file at startup
+const messages = new MessageBuilder();
+
+module.exports = {
+    MessageBuilder,
+    messages,
+    validateTemplates,
+    validateBranding,
+    findCatalogProblems,
+    DEFAULT_TEMPLATES
+};
\ No newline at end of file
@@ -0,0 +1,160 @@
+// Minimal Prometheus registry (text exposition format 0.0.4) for the metrics the bot exposes
+// on /metrics, see metricsServer.js. Metrics are plain in-memory counters, so every module can
+// record into them whether or not the server is enabled.
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Series are keyed on their label set, label order doesn't matter
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+class Counter {
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        this.type = 'counter';
+        this.series = new Map(); // labelKey -> { labels, value }
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = labelKey(labels);
+        const series = this.series.get(key) || { labels, value: 0 };
+        series.value += value;
+        this.series.set(key, series);
+    }
+
+    get(labels = {}) {
+        return this.series.get(labelKey(labels))?.value || 0;
+    }
+
+    render() {
+        return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+    }
+}
+
+class Gauge extends Counter {
+    constructor(name, help) {
+        super(name, help);
+        this.type = 'gauge';
+    }
+
+    set(labels, value) {
+        this.series.set(labelKey(labels), { labels, value });
+    }
+
+    // Gauges filled by a collector drop series that no longer exist (e.g. deleted channels)
+    reset() {
+        this.series.clear();
+    }
+}
+
+class Histogram {
+    constructor(name, help, buckets) {
+        this.name = name;
+        this.help = help;
+        this.type = 'histogram';
+        this.buckets = [...buckets].sort((a, b) => a - b);
+        this.series = new Map(); // labelKey -> { labels, counts, sum, count }
+    }
+
+    observe(labels, value) {
+        const key = labelKey(labels);
+        const series = this.series.get(key) || { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+        this.buckets.forEach((bucket, index) => {
+            if (value <= bucket) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+        this.series.set(key, series);
+    }
+
+    // Times an async function in seconds
+    async time(labels, fn) {
+        const start = process.hrtime.bigint();
+        try {
+            return await fn();
+        } finally {
+            this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+        }
+    }
+
+    render() {
+        const lines = [];
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bucket, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+        this.collectors = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help) {
+        return this.register(new Counter(name, help));
+    }
+
+    gauge(name, help) {
+        return this.register(new Gauge(name, help));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(name, help, buckets));
+    }
+
+    // collector() runs before every render, for values that are read rather than counted
+    onCollect(collector) {
+        this.collectors.push(collector);
+    }
+
+    async render() {
+        for (const collector of this.collectors) {
+            await collector();
+        }
+        const lines = [];
+        for (const metric of this.metrics) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render());
+        }
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+const registry = new MetricsRegistry();
+
+module.exports = {
+    MetricsRegistry,
+    registry,
+    messagesProcessed: registry.counter('notificator_messages_processed_total', 'Messages posted in routed forums'),
+    wrongThreadRemovals: registry.counter('notificator_wrong_thread_total', 'Posts removed or relayed for being in the wrong thread, by action'),
+    duplicateDetections: registry.counter('notificator_duplicate_urls_total', 'Duplicate URLs detected, by case and action'),
+    rateLimitHits: registry.counter('notificator_rate_limit_hits_total', 'Messages over the rate limit, by forum and action'),
+    discordApiErrors: registry.counter('notificator_discord_api_errors_total', 'Failed Discord API requests, by HTTP status'),
+    storeEntries: registry.gauge('notificator_url_store_entries', 'URL entries stored, by registry and channel'),
+    storeWriteDuration: registry.histogram(
+        'notificator_url_store_write_duration_seconds',
+        'Time taken by URL registry writes, by registry',
+        [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5]
+    )
+};
\ No newline at end of file
@@ -0,0 +1,54 @@
+const http = require('http');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'metricsServer' });
+
+// HTTP server for /metrics (Prometheus) and /healthz. It only knows the metrics registry
+// and a healthCheck() returning { healthy, ...details }, so it runs without Discord:
+//   new MetricsServer({ port: 9100, registry, healthCheck: async () => ({ healthy: true }) }).start()
+class MetricsServer {
+    constructor({ port, host = '0.0.0.0', registry, healthCheck }) {
+        this.port = port;
+        this.host = host;
+        this.registry = registry;
+        this.healthCheck = healthCheck;
+        this.server = http.createServer((request, response) => this.handle(request, response));
+    }
+
+    async handle(request, response) {
+        const { pathname } = new URL(request.url, 'http://localhost');
+        try {
+            if (request.method !== 'GET') {
+                response.writeHead(405, { Allow: 'GET' }).end();
+            } else if (pathname === '/metrics') {
+                const body = await this.registry.render();
+                response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' }).end(body);
+            } else if (pathname === '/healthz') {
+                const health = await this.healthCheck();
+                response.writeHead(health.healthy ? 200 : 503, { 'Content-Type': 'application/json' })
+                    .end(JSON.stringify(health));
+            } else {
+                response.writeHead(404).end();
+            }
+        } catch (error) {
+            log.error(`Error serving ${pathname}: ${error.message}`);
+            response.writeHead(500).end();
+        }
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                log.info(`Serving /metrics and /healthz on ${this.host}:${this.server.address().port}`);
+                resolve(this);
+            });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+}
+
+module.exports = MetricsServer;
\ No newline at end of file
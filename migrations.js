@@ -0,0 +1,47 @@
+const { SCHEMA_VERSION, buildMessageUrl } = require('./urlRecord');
+
+// Records without a schemaVersion predate versioning and count as version 1.
+// Each migration upgrades a record from the previous version in place; channelId is
+// the storage channel the record is filed under.
+const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Unify record fields around the poster user ID',
+        up(entry, channelId) {
+            entry.userId = entry.userId || entry.authorId || null;
+            entry.threadId = entry.threadId || entry.channelId || channelId;
+            entry.author = entry.author || null;
+            entry.messageId = entry.messageId || null;
+            entry.threadName = entry.threadName || null;
+            entry.guildId = entry.guildId || null;
+            entry.messageUrl = entry.messageUrl
+                || buildMessageUrl(entry.guildId, entry.threadId, entry.messageId);
+            delete entry.authorId;
+            delete entry.channelId;
+        }
+    }
+];
+
+function getRecordVersion(entry) {
+    return entry.schemaVersion || 1;
+}
+
+// Returns true when the record was changed
+function migrateRecord(entry, channelId) {
+    const fromVersion = getRecordVersion(entry);
+    if (fromVersion >= SCHEMA_VERSION) return false;
+
+    for (const migration of MIGRATIONS) {
+        if (migration.version > fromVersion && migration.version <= SCHEMA_VERSION) {
+            migration.up(entry, channelId);
+            entry.schemaVersion = migration.version;
+        }
+    }
+    return true;
+}
+
+module.exports = {
+    MIGRATIONS,
+    getRecordVersion,
+    migrateRecord
+};
\ No newline at end of file
@@ -1,9 +1,42 @@
 require('dotenv').config();
-const { Client, GatewayIntentBits, EmbedBuilder, Partials, ChannelType } = require('discord.js');
-const UrlStorage = require('./urlStore');  // Changed to UrlStorage
-const UrlTracker = require('./urlTracker');
-const { logWithTimestamp } = require('./utils');
-const { DB_TIMEOUT, RATE_LIMIT_MAX_REQUESTS, RATE_LIMIT_COOLDOWN } = require('./config');
+const { Client, GatewayIntentBits, Partials, ChannelType, Status } = require('discord.js');
+const UrlRegistries = require('./urlRegistries');
+const AuditLog = require('./auditLog');
+const { UrlCommands, buildFetchResultEmbed, isModerator } = require('./urlCommands');
+const { RoutingConfig } = require('./routingConfig');
+const RoutingCommands = require('./routingCommands');
+const { ThreadRelay, postedBy } = require('./threadRelay');
+const JobQueue = require('./jobQueue');
+const RateLimiter = require('./rateLimiter');
+const MetricsServer = require('./metricsServer');
+const metrics = require('./metrics');
+const TierTracker = require('./tierTracker');
+const DisputeManager = require('./disputes');
+const HandleLinks = require('./handleLinks');
+const HandleCommands = require('./handleCommands');
+const { messages } = require('./messageBuilder');
+const { memberLocales } = require('./i18n');
+const { logger, messageContext } = require('./logger');
+const { createUrlRecord } = require('./urlRecord');
+const {
+    RATE_LIMIT_SCOPES,
+    RATE_LIMIT_SCOPE,
+    RATE_LIMIT_ACTION_TYPES,
+    RATE_LIMIT_ACTION,
+    AUTO_DELETE_TIMER,
+    DUPLICATE_ACTION_TYPES,
+    DUPLICATE_ACTIONS,
+    DUPLICATE_GRACE_PERIOD,
+    URL_RELEASE_MODES,
+    URL_RELEASE_MODE,
+    TIER_CHANGE_NOTIFICATION_TYPES,
+    TIER_CHANGE_NOTIFICATION,
+    METRICS_PORT,
+    METRICS_HOST,
+    ROUTING_CONFIG
+} = require('./config');
+
+const log = logger.child({ module: 'notificator' });
 
 const client = new Client({
     intents: [
@@ -17,85 +50,72 @@ const client = new Client({
 
 // Constants
 const MAX_TEXT_LENGTH = 200;
-const ERROR_COLOR = '#f2b518';
-const AUTO_DELETE_TIMER_SECONDS = parseInt(process.env.AUTO_DELETE_TIMER) || 30;
-const AUTO_DELETE_TIMER = AUTO_DELETE_TIMER_SECONDS * 1000;
 const URL_CHECK_TIMEOUT = parseInt(process.env.URL_CHECK_TIMEOUT) || 5000;
-const MAX_FETCH_RETRIES = 3;
 const CACHE_CLEANUP_INTERVAL = 300000; // 5 minutes
 const THREAD_CACHE_TTL = 3600000; // 1 hour
-const URL_HISTORY_LIMIT = 10;
+const BACKFILL_PROGRESS_INTERVAL = 5000; // Edit the progress message at most every 5 seconds
+const UNKNOWN_CHANNEL = 10003; // Discord API error codes
+const UNKNOWN_MESSAGE = 10008;
 
-// Rate limiting and caching
-const rateLimitMap = new Map();
+// Caching
 const threadNameCache = new Map(); // Stores {threadId: {name: string, timestamp: number, pendingOps: number}}
 
-function checkRateLimit(userId) {
-    const now = Date.now();
-    const userRateLimit = rateLimitMap.get(userId) || { timestamp: now, count: 0 };
-    
-    if (now - userRateLimit.timestamp > RATE_LIMIT_COOLDOWN) {
-        userRateLimit.timestamp = now;
-        userRateLimit.count = 1;
-    } else {
-        userRateLimit.count++;
-        if (userRateLimit.count > RATE_LIMIT_MAX_REQUESTS) {
-            logWithTimestamp(`Rate limit hit for user ID: ${userId}`, 'RATELIMIT');
-            return true;
-        }
-    }
-    
-    rateLimitMap.set(userId, userRateLimit);
-    return false;
-}
-
-function findHighestRole(memberRoles) {
-    for (let i = 5; i >= 0; i--) {
-        const roleId = process.env[`ROLE_${i}_ID`];
-        if (memberRoles.has(roleId)) {
-            return i;
-        }
-    }
-    return -1;
-}
-
 function validateEnvironmentVariables() {
     const requiredVariables = [
         'DISCORD_TOKEN',
-        'MAIN_CHANNEL_ID',
         'AUTO_DELETE_TIMER',
-        'DB_TIMEOUT',
-        ...Array.from({length: 6}, (_, i) => `ROLE_${i}_ID`),
-        ...Array.from({length: 6}, (_, i) => `THREAD_${i}_ID`)
+        'DB_TIMEOUT'
     ];
 
     const missingVariables = requiredVariables.filter(varName => !process.env[varName]);
     if (missingVariables.length > 0) {
-        logWithTimestamp(`Missing environment variables: ${missingVariables.join(', ')}`, 'ERROR');
+        log.error(`Missing environment variables: ${missingVariables.join(', ')}`);
         process.exit(1);
     }
 
-    const idVariables = [
-        'MAIN_CHANNEL_ID',
-        ...Array.from({length: 6}, (_, i) => `ROLE_${i}_ID`),
-        ...Array.from({length: 6}, (_, i) => `THREAD_${i}_ID`)
-    ];
-
-    idVariables.forEach(varName => {
+    // MAIN_CHANNEL_ID is only needed without routing.json
+    ['MAIN_CHANNEL_ID', 'MODERATOR_ROLE_ID', 'AUDIT_CHANNEL_ID'].forEach(varName => {
         const value = process.env[varName];
-        if (!/^\d+$/.test(value)) {
-            logWithTimestamp(`Invalid Discord ID format for ${varName}: ${value}`, 'ERROR');
+        if (value && !/^\d+$/.test(value)) {
+            log.error(`Invalid Discord ID format for ${varName}: ${value}`);
             process.exit(1);
         }
     });
 
+    for (const [caseName, action] of Object.entries(DUPLICATE_ACTIONS)) {
+        if (!DUPLICATE_ACTION_TYPES.includes(action)) {
+            log.error(`Invalid duplicate action for ${caseName}: ${action}. Must be one of ${DUPLICATE_ACTION_TYPES.join(', ')}.`);
+            process.exit(1);
+        }
+    }
+
+    if (!RATE_LIMIT_SCOPES.includes(RATE_LIMIT_SCOPE)) {
+        log.error(`Invalid RATE_LIMIT_SCOPE value: ${RATE_LIMIT_SCOPE}. Must be one of ${RATE_LIMIT_SCOPES.join(', ')}.`);
+        process.exit(1);
+    }
+
+    if (!RATE_LIMIT_ACTION_TYPES.includes(RATE_LIMIT_ACTION)) {
+        log.error(`Invalid RATE_LIMIT_ACTION value: ${RATE_LIMIT_ACTION}. Must be one of ${RATE_LIMIT_ACTION_TYPES.join(', ')}.`);
+        process.exit(1);
+    }
+
+    if (!URL_RELEASE_MODES.includes(URL_RELEASE_MODE)) {
+        log.error(`Invalid URL_RELEASE_MODE value: ${URL_RELEASE_MODE}. Must be one of ${URL_RELEASE_MODES.join(', ')}.`);
+        process.exit(1);
+    }
+
+    if (!TIER_CHANGE_NOTIFICATION_TYPES.includes(TIER_CHANGE_NOTIFICATION)) {
+        log.error(`Invalid TIER_CHANGE_NOTIFICATION value: ${TIER_CHANGE_NOTIFICATION}. Must be one of ${TIER_CHANGE_NOTIFICATION_TYPES.join(', ')}.`);
+        process.exit(1);
+    }
+
     if (isNaN(parseInt(process.env.AUTO_DELETE_TIMER)) || parseInt(process.env.AUTO_DELETE_TIMER) < 0) {
-        logWithTimestamp('Invalid AUTO_DELETE_TIMER value. Must be a positive number.', 'ERROR');
+        log.error('Invalid AUTO_DELETE_TIMER value. Must be a positive number.');
         process.exit(1);
     }
 
     if (isNaN(parseInt(process.env.DB_TIMEOUT)) || parseInt(process.env.DB_TIMEOUT) < 0) {
-        logWithTimestamp('Invalid DB_TIMEOUT value. Must be a positive number.', 'ERROR');
+        log.error('Invalid DB_TIMEOUT value. Must be a positive number.');
         process.exit(1);
     }
 }
@@ -103,7 +123,7 @@ function validateEnvironmentVariables() {
 function checkBotPermissions(guild, channel) {
     const botMember = guild.members.cache.get(client.user.id);
     if (!botMember) {
-        logWithTimestamp('Bot member not found in guild', 'ERROR');
+        log.error('Bot member not found in guild');
         return false;
     }
 
@@ -116,30 +136,14 @@ function checkBotPermissions(guild, channel) {
 
     const missingPermissions = requiredPermissions.filter(perm => !botMember.permissions.has(perm));
     if (missingPermissions.length > 0) {
-        logWithTimestamp(`Missing permissions in ${channel.name}: ${missingPermissions.join(', ')}`, 'ERROR');
+        log.error(`Missing permissions in ${channel.name}: ${missingPermissions.join(', ')}`);
         return false;
     }
 
     return true;
 }
 
-const roleToThread = new Map();
-const threadToRole = new Map();
-
-function initializeMappings() {
-    for (let i = 0; i <= 5; i++) {
-        const roleId = process.env[`ROLE_${i}_ID`];
-        const threadId = process.env[`THREAD_${i}_ID`];
-        roleToThread.set(roleId, threadId);
-        threadToRole.set(threadId, roleId);
-    }
-}
-
-const ignoredRoles = new Set(
-    process.env.IGNORED_ROLES
-        ? process.env.IGNORED_ROLES.split(',').map(role => role.trim())
-        : []
-);
+const routing = new RoutingConfig(ROUTING_CONFIG);
 
 async function getThreadName(threadId) {
     const cacheEntry = threadNameCache.get(threadId);
@@ -178,72 +182,76 @@ async function getThreadName(threadId) {
             }
         };
     } catch (error) {
-        logWithTimestamp(`Error fetching thread ${threadId}: ${error.message}`, 'ERROR');
+        log.error(`Error fetching thread: ${error.message}`, { threadId });
         return { name: threadId, done: () => {} };
     }
 }
 
-async function isMessageInForumPost(message) {
+// The routing entry of the forum the message was posted in, or null outside configured forums
+async function getForumForMessage(message) {
     try {
         const channel = message.channel;
-        if (!channel.isThread()) return false;
+        if (!channel.isThread()) return null;
         
+        const forum = routing.getForum(channel.parentId);
+        if (!forum) return null;
+
         const parent = await channel.parent?.fetch();
-        return parent?.id === process.env.MAIN_CHANNEL_ID &&
-               parent?.type === ChannelType.GuildForum;
+        return parent?.type === ChannelType.GuildForum ? forum : null;
     } catch (error) {
-        logWithTimestamp(`Error checking forum post: ${error.message}`, 'ERROR');
-        return false;
+        log.error(`Error checking forum post: ${error.message}`);
+        return null;
     }
 }
 
-async function checkMessageExists(message, retries = 0) {
+// null when the message or its channel is gone, other errors (network, rate limits) throw
+// so the job asking for it is retried
+async function fetchMessage(channelId, messageId) {
     try {
-        return await message.channel.messages.fetch(message.id)
-            .then(() => true)
-            .catch(async (error) => {
-                if (retries < MAX_FETCH_RETRIES && error.code === 'NETWORK_ERROR') {
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                    return checkMessageExists(message, retries + 1);
-                }
-                return false;
-            });
-    } catch {
-        return false;
+        const channel = await client.channels.fetch(channelId);
+        return await channel.messages.fetch(messageId);
+    } catch (error) {
+        if (error.code === UNKNOWN_CHANNEL || error.code === UNKNOWN_MESSAGE) return null;
+        throw error;
     }
 }
 
-async function handleWrongThread(message, correctThreadId) {
+// Branding and language of the notices a member gets in a forum, see messageBuilder.js
+function getNotice(member, forum) {
+    return { branding: forum?.options.branding, locale: memberLocales.localeFor(member, forum) };
+}
+
+// relayed is the copy threadRelay posted in the right thread, or null when the post is only removed
+async function handleWrongThread(message, correctThreadId, relayed = null, notice = {}) {
+    // Uploads are summed up instead of the text, and empty messages (stickers) get a note, both
+    // through the template's attachments field
     const hasAttachments = message.attachments.size > 0;
-    let embedDescription = hasAttachments 
-        ? 'User uploaded file(s)'
+    const content = hasAttachments || !message.content
+        ? null
         : message.content.length > MAX_TEXT_LENGTH
             ? message.content.substring(0, MAX_TEXT_LENGTH) + '...'
-            : message.content || 'No content';
-
-    const errorEmbed = new EmbedBuilder()
-        .setColor(ERROR_COLOR)
-        .setDescription(`${message.author}, please use the thread that matches your highest role.\nYour message has been removed because it was posted to a wrong thread.`)
-        .addFields(
-            {
-                name: "Here's the right one for you:",
-                value: `<#${correctThreadId}>`
-            },
-            { 
-                name: 'Your message content:', 
-                value: embedDescription
-            }
-        )
-        .setFooter({
-            text: 'Botanix Labs',
-            iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-        })
-        .setTimestamp();
+            : message.content;
+
+    const errorEmbed = messages.build(relayed ? 'wrong-thread-relayed' : 'wrong-thread', {
+        member: `${message.author}`,
+        threadId: correctThreadId,
+        content,
+        attachments: content ? null : message.attachments.size,
+        messageUrl: relayed?.url
+    }, notice);
 
     try {
         const replyMessage = await message.reply({ embeds: [errorEmbed] });
         if (message.deletable) {
             await message.delete();
+            metrics.wrongThreadRemovals.inc({ action: relayed ? 'relay' : 'delete' });
+            await auditLog.record({
+                type: 'wrong_thread',
+                action: relayed ? 'relay' : 'delete',
+                reason: `Posted outside the thread for their highest role, which is <#${correctThreadId}>`
+                    + (relayed ? `. Moved to ${relayed.url}` : ''),
+                ...auditLog.describeMessage(message)
+            });
         }
 
         if (AUTO_DELETE_TIMER > 0) {
@@ -253,27 +261,165 @@ async function handleWrongThread(message, correctThreadId) {
                         await replyMessage.delete();
                     }
                 } catch (error) {
-                    logWithTimestamp(`Error deleting reply: ${error.message}`, 'ERROR');
+                    log.error(`Error deleting reply: ${error.message}`);
                 }
             }, AUTO_DELETE_TIMER);
         }
     } catch (error) {
-        logWithTimestamp(`Error handling wrong thread: ${error.message}`, 'ERROR');
+        log.error(`Error handling wrong thread: ${error.message}`, messageContext(message));
         if (message.deletable) {
             await message.delete().catch(() => {});
         }
     }
 }
 
+// Queues the duplicate URL check to run once URL_CHECK_TIMEOUT has passed, see runUrlCheck.
+// urls defaults to every URL in the message, edits only pass the ones they added.
+async function trackUrls(message, forum, urls = null) {
+    const registry = registries.forForum(forum.forumId);
+    if (!registry) return;
+
+    urls = urls || message.content.match(registry.urlTracker.urlRegex);
+    if (!urls || urls.length === 0) return;
+
+    await jobQueue.enqueue('check_urls', {
+        forumId: forum.forumId,
+        channelId: message.channel.id,
+        messageId: message.id,
+        urls,
+        // Relayed posts are sent by our webhook but belong to the member
+        postedBy: message.webhookId ? message.author.id : null
+    }, URL_CHECK_TIMEOUT);
+}
+
+// Job handlers (see jobQueue.js). They may run again after a restart, checks and upserts
+// are safe to repeat. A check whose duplicates would get the message removed queues an
+// enforce_duplicates job with the same payload instead, which checks the message again once
+// the member had DUPLICATE_GRACE_PERIOD to edit them out.
+function runUrlCheck(payload) {
+    return checkUrls(payload, false);
+}
+
+function runDuplicateEnforcement(payload) {
+    return checkUrls(payload, true);
+}
+
+async function checkUrls(payload, graceEnded) {
+    const { forumId, channelId, messageId, urls, postedBy: authorId } = payload;
+    const forum = routing.getForum(forumId);
+    const registry = registries.forForum(forumId);
+    if (!forum) {
+        log.warn(`Forum ${forumId} is no longer routed, skipping URL check`, { channelId, messageId });
+        return;
+    }
+    if (!registry) {
+        // Failed to open (see UrlRegistries.sync), the job is retried in case a reload opens it
+        throw new Error(`URL registry ${forum.registry} of forum ${forumId} is unavailable`);
+    }
+
+    let message = await fetchMessage(channelId, messageId);
+    if (!message) {
+        log.info(graceEnded ? 'Message was deleted during the grace period' : 'Message no longer exists, skipping URL check', { channelId, messageId });
+        return;
+    }
+    if (authorId) {
+        const member = await message.guild.members.fetch(authorId).catch(() => null);
+        const author = member ? member.user : await client.users.fetch(authorId);
+        message = postedBy(message, { author, member });
+    }
+
+    const { removed, deferred, urls: remainingUrls } = await registry.urlTracker.handleUrlMessage(
+        message, urls, forum.options.duplicateActions, getNotice(message.member, forum), { graceEnded });
+    if (deferred) {
+        await jobQueue.enqueue('enforce_duplicates', payload, DUPLICATE_GRACE_PERIOD);
+        return;
+    }
+    if (removed || remainingUrls.length === 0) return;
+
+    await jobQueue.enqueue('save_urls', {
+        registry: registry.name,
+        channelId: message.channel.id,
+        records: remainingUrls.map(url => createUrlRecord(message, url))
+    });
+}
+
+async function runUrlSave({ registry: name, channelId, records }) {
+    const registry = registries.get(name);
+    if (!registry) {
+        log.warn(`URL registry ${name} is no longer configured, dropping ${records.length} URL(s)`, { channelId });
+        return;
+    }
+    await registry.urlStore.saveUrls(channelId, records);
+}
+
+// Content keys of the message's URLs whose check, enforcement or save job hasn't finished,
+// they aren't stored yet but are already taken care of
+function getQueuedUrlKeys(message, urlTracker) {
+    const checks = [...jobQueue.getPending('check_urls'), ...jobQueue.getPending('enforce_duplicates')]
+        .filter(job => job.payload.messageId === message.id)
+        .flatMap(job => job.payload.urls);
+    const saves = jobQueue.getPending('save_urls')
+        .flatMap(job => job.payload.records)
+        .filter(record => record.messageId === message.id)
+        .map(record => record.url);
+    return new Set([...checks, ...saves].map(url => urlTracker.getContentKey(url)));
+}
+
+// Diffs the URLs of an edited message against what is stored or queued for it: links edited
+// out are released, links edited in go through the same duplicate check as a new post
+async function handleMessageEdit(message) {
+    if (message.partial) {
+        message = await message.fetch().catch(() => null);
+        if (!message) return;
+    }
+    if (message.author.bot || !message.guild || !message.member) return;
+
+    const forum = await getForumForMessage(message);
+    if (!forum || !forum.options.checkUrls) return;
+
+    const memberRoles = message.member.roles.cache;
+    if (routing.isIgnored(forum, memberRoles) || !routing.findRule(forum, memberRoles)) return;
+
+    const registry = registries.forForum(forum.forumId);
+    if (!registry) return;
+    const { urlStore, urlTracker } = registry;
+
+    const urls = message.content.match(urlTracker.urlRegex) || [];
+    const currentKeys = new Set(urls.map(url => urlTracker.getContentKey(url)));
+    const storedEntries = await urlStore.getUrlsForMessage(message.id);
+    const storedKeys = new Set(storedEntries.map(entry => entry.contentKey || entry.canonicalUrl));
+
+    const removedEntries = storedEntries.filter(entry => !currentKeys.has(entry.contentKey || entry.canonicalUrl));
+    if (removedEntries.length > 0) {
+        log.info(`${removedEntries.length} URL(s) edited out`, messageContext(message));
+        await urlStore.release({ messageIds: [message.id], recordKeys: removedEntries.map(entry => entry.recordKey) });
+    }
+
+    const queuedKeys = getQueuedUrlKeys(message, urlTracker);
+    const addedUrls = urls.filter(url => !storedKeys.has(urlTracker.getContentKey(url))
+        && !queuedKeys.has(urlTracker.getContentKey(url)));
+    if (addedUrls.length > 0) {
+        log.info(`${addedUrls.length} URL(s) edited in`, messageContext(message));
+        await trackUrls(message, forum, addedUrls);
+    }
+}
+
 async function handleFetchLinksCommand(message) {
     try {
+        if (!isModerator(message.member)) {
+            log.info(`Refused !fetch links for ${message.author.tag}: not a moderator`, messageContext(message));
+            await message.reply('Only moderators can use this command.');
+            return;
+        }
+
         const args = message.content.split(' ');
-        if (args.length !== 3) {
-            await message.reply('Usage: !fetch links <channel_id>');
+        if (args.length < 3 || args.length > 4 || (args[3] && args[3] !== 'reset')) {
+            await message.reply('Usage: !fetch links <channel_id> [reset]');
             return;
         }
 
         const channelId = args[2];
+        const reset = args[3] === 'reset';
         
         const targetChannel = await client.channels.fetch(channelId).catch(() => null);
         if (!targetChannel) {
@@ -281,109 +427,45 @@ async function handleFetchLinksCommand(message) {
             return;
         }
 
-        logWithTimestamp(`Fetching URLs from channel ${channelId}`, 'INFO');
+        const registry = registries.forChannel(targetChannel);
+        if (!registry) {
+            await message.reply('Channel is not a configured forum or one of its threads.');
+            return;
+        }
+
+        log.info('Fetching URLs from channel', { channelId, userId: message.author.id });
         
-        let urls = [];
         try {
-            // First get stored URLs
-            const storedUrls = await urlStore.getUrls(channelId);
-            urls = [...storedUrls];
-
-            // Then fetch new URLs
-            if (targetChannel.type === ChannelType.GuildForum) {
-                const threads = await targetChannel.threads.fetch();
-                
-                for (const [threadId, thread] of threads.threads) {
-                    const messages = await thread.messages.fetch({ limit: 100 });
-                    messages.forEach(msg => {
-                        const foundUrls = msg.content.match(urlTracker.urlRegex);
-                        if (foundUrls) {
-                            const messageUrl = `https://discord.com/channels/${msg.guild.id}/${msg.channel.id}/${msg.id}`;
-                            foundUrls.forEach(url => {
-                                urls.push({
-                                    url,
-                                    timestamp: msg.createdTimestamp,
-                                    userId: msg.author.id,
-                                    author: msg.author.tag,
-                                    threadName: thread.name,
-                                    messageId: msg.id,
-                                    messageUrl: messageUrl,
-                                    channelId: msg.channel.id
-                                });
-                            });
-                        }
-                    });
-                }
-            } else {
-                const messages = await targetChannel.messages.fetch({ limit: 100 });
-                messages.forEach(msg => {
-                    const foundUrls = msg.content.match(urlTracker.urlRegex);
-                    if (foundUrls) {
-                        const messageUrl = `https://discord.com/channels/${msg.guild.id}/${msg.channel.id}/${msg.id}`;
-                        foundUrls.forEach(url => {
-                            urls.push({
-                                url,
-                                timestamp: msg.createdTimestamp,
-                                userId: msg.author.id,
-                                author: msg.author.tag,
-                                messageId: msg.id,
-                                messageUrl: messageUrl,
-                                channelId: msg.channel.id
-                            });
-                        });
-                    }
-                });
-            }
-
-            // Sort by timestamp (removed duplicate filtering)
-            urls = urls.sort((a, b) => b.timestamp - a.timestamp);
-
-            // Save updated URLs with retries
-            let saved = false;
-            let retries = 3;
-            while (!saved && retries > 0) {
-                try {
-                    await urlStore.saveUrls(channelId, urls);
-                    saved = true;
-                    logWithTimestamp(`Successfully saved ${urls.length} URLs for channel ${channelId}`, 'INFO');
-                } catch (error) {
-                    retries--;
-                    if (retries === 0) {
-                        throw error;
-                    }
-                    await new Promise(resolve => setTimeout(resolve, 1000));
+            const progressMessage = await message.reply(`Fetching history of <#${channelId}>...`);
+            let lastProgressUpdate = 0;
+
+            const progress = await registry.urlTracker.backfillChannel(channelId, {
+                reset,
+                onProgress: async (current) => {
+                    if (Date.now() - lastProgressUpdate < BACKFILL_PROGRESS_INTERVAL) return;
+                    lastProgressUpdate = Date.now();
+                    await progressMessage.edit(
+                        `Fetching history of <#${channelId}>: ${current.threadsDone}/${current.threadsTotal} threads, ` +
+                        `${current.messages} messages, ${current.urls} URLs` +
+                        (current.currentThread ? ` (now in ${current.currentThread})` : '')
+                    ).catch(() => {});
                 }
-            }
+            });
 
-            if (urls.length === 0) {
-                await message.reply('No URLs found in this channel.');
+            if (progress.urls === 0) {
+                await progressMessage.edit('No new URLs found in this channel.').catch(() => {});
                 return;
             }
 
-            const embed = new EmbedBuilder()
-                .setColor('#0099ff')
-                .setTitle('URLs fetched')
-                .setDescription(`Found and saved ${urls.length} URLs in channel: ${channelId}`)
-                .addFields(
-                    { 
-                        name: 'Storage Status', 
-                        value: saved ? '✅ URLs saved successfully' : '❌ Failed to save URLs'
-                    }
-                )
-                .setFooter({
-                    text: 'Botanix Labs',
-                    iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-                })
-                .setTimestamp();
-
-            await message.reply({ embeds: [embed] });
-            logWithTimestamp(`Fetched and saved ${urls.length} URLs from channel ${channelId}`, 'INFO');
+            const embed = buildFetchResultEmbed(channelId, progress, getNotice(message.member, routing.getForum(channelId)));
+            await progressMessage.edit({ content: null, embeds: [embed] });
+            log.info(`Fetched ${progress.urls} URLs: ${progress.added} added, ${progress.updated} updated`, { channelId });
         } catch (error) {
-            logWithTimestamp(`Error fetching URLs: ${error.message}`, 'ERROR');
-            await message.reply('An error occurred while fetching URLs.');
+            log.error(`Error fetching URLs: ${error.message}`, { channelId });
+            await message.reply(`An error occurred while fetching URLs: ${error.message}`);
         }
     } catch (error) {
-        logWithTimestamp(`Error handling fetch links command: ${error.message}`, 'ERROR');
+        log.error(`Error handling fetch links command: ${error.message}`);
         await message.reply('An error occurred while processing the command.').catch(() => {});
     }
 }
@@ -391,12 +473,8 @@ async function handleFetchLinksCommand(message) {
 // Cache cleanup
 setInterval(() => {
     const now = Date.now();
-    // Clean up rate limit map
-    for (const [userId, timestamp] of rateLimitMap.entries()) {
-        if (now - timestamp > RATE_LIMIT_COOLDOWN * 2) {
-            rateLimitMap.delete(userId);
-        }
-    }
+    rateLimiter.prune(now);
+    disputes.prune(now);
     // Clean up thread name cache
     for (const [threadId, data] of threadNameCache.entries()) {
         if (now - data.timestamp > THREAD_CACHE_TTL && data.pendingOps === 0) {
@@ -406,28 +484,71 @@ setInterval(() => {
 }, CACHE_CLEANUP_INTERVAL);
 
 // Create instances
-const urlStore = new UrlStorage();
-const urlTracker = new UrlTracker(client);
+const auditLog = new AuditLog(client);
+const disputes = new DisputeManager(client, auditLog, name => registries.get(name));
+const handleLinks = new HandleLinks();
+const registries = new UrlRegistries(client, routing, auditLog, { disputes, handleLinks });
+const rateLimiter = new RateLimiter(auditLog);
+const urlCommands = new UrlCommands(client, registries, auditLog, disputes);
+const tierTracker = new TierTracker(client, routing);
+const routingCommands = new RoutingCommands(routing, registries, tierTracker, rateLimiter);
+const handleCommands = new HandleCommands(handleLinks, auditLog);
+const threadRelay = new ThreadRelay(client);
+const jobQueue = new JobQueue();
+jobQueue.register('check_urls', runUrlCheck);
+jobQueue.register('enforce_duplicates', runDuplicateEnforcement);
+jobQueue.register('save_urls', runUrlSave);
 
 client.once('ready', async () => {
     try {
-        await urlStore.init();  // Initialize urlStore first
-        await urlTracker.init(); // Then initialize urlTracker
-        initializeMappings();
-        
-        const mainChannel = await client.channels.fetch(process.env.MAIN_CHANNEL_ID);
-        if (!mainChannel || mainChannel.type !== ChannelType.GuildForum) {
-            throw new Error('MAIN_CHANNEL_ID must be a forum channel');
+        await auditLog.init();
+        await disputes.init();
+        await registries.sync();
+
+        // A forum that is gone, misconfigured or whose registry failed to open is skipped so
+        // the others keep working
+        const guilds = new Map();
+        for (const forumId of routing.getForumIds()) {
+            if (!registries.forForum(forumId)) {
+                log.error(`URL registry ${routing.getForum(forumId).registry} of forum ${forumId} is unavailable, skipping it`, { channelId: forumId });
+                continue;
+            }
+            const forumChannel = await client.channels.fetch(forumId).catch(() => null);
+            if (!forumChannel || forumChannel.type !== ChannelType.GuildForum) {
+                log.error(`Routing forum ${forumId} is unavailable or not a forum channel, skipping it`, { channelId: forumId });
+                continue;
+            }
+            guilds.set(forumChannel.guild.id, forumChannel.guild);
+            log.info(`Monitoring forum channel: ${forumChannel.name}`, { channelId: forumId, guildId: forumChannel.guild.id });
         }
-        
-        logWithTimestamp('Bot initialized successfully', 'STARTUP');
-        logWithTimestamp(`Monitoring forum channel: ${mainChannel.name}`, 'CONFIG');
-        logWithTimestamp(`Last updated: 2025-02-10 19:15:07 UTC by noname9006`, 'INFO');
+        if (guilds.size === 0) {
+            throw new Error('None of the routing forums are available');
+        }
+
+        // Replays checks and writes left over from the last run
+        jobQueue.start();
+
+        for (const guild of guilds.values()) {
+            try {
+                await urlCommands.register(guild);
+                await routingCommands.register(guild);
+                await handleCommands.register(guild);
+            } catch (error) {
+                log.error(`Failed to register commands in guild ${guild.name}: ${error.message}`, { guildId: guild.id });
+            }
+
+            // guildMemberUpdate only fires for cached members, tier changes need all of them
+            await guild.members.fetch().catch(error => {
+                log.error(`Failed to cache members of guild ${guild.name}: ${error.message}`, { guildId: guild.id });
+            });
+        }
+
+        log.info('Bot initialized successfully');
 
         // Start URL cleanup interval
-        setInterval(() => urlStore.cleanup(), 24 * 60 * 60 * 1000); // Daily cleanup
+        setInterval(() => registries.cleanup(), 24 * 60 * 60 * 1000); // Daily cleanup
 		} catch (error) {
-        logWithTimestamp(`Initialization error: ${error.message}`, 'FATAL');
+        log.fatal(`Initialization error: ${error.message}`);
         process.exit(1);
     }
 });
@@ -442,103 +563,189 @@ client.on('messageCreate', async (message) => {
             return;
         }
 
-        const isForumPost = await isMessageInForumPost(message);
-        if (!isForumPost) return;
+        const forum = await getForumForMessage(message);
+        if (!forum) return;
+        metrics.messagesProcessed.inc();
 
         if (!checkBotPermissions(message.guild, message.channel)) {
-            logWithTimestamp(`Insufficient permissions in channel ${message.channel.name}`, 'ERROR');
+            log.error(`Insufficient permissions in channel ${message.channel.name}`, messageContext(message));
             return;
         }
 
         const threadNameData = await getThreadName(message.channel.id);
         try {
-            if (checkRateLimit(message.author.id)) return;
-
-            if (message.member.roles.cache.some(role => ignoredRoles.has(role.id))) return;
-
-            const highestRoleIndex = findHighestRole(message.member.roles.cache);
-            if (highestRoleIndex === -1) return;
-
-            const correctThreadId = process.env[`THREAD_${highestRoleIndex}_ID`];
-            
-            if (message.channel.id !== correctThreadId) {
-                await handleWrongThread(message, correctThreadId);
+            const memberRoles = message.member.roles.cache;
+            if (routing.isIgnored(forum, memberRoles)) return;
+
+            // Posting too fast is handled on top of the checks below, not instead of them
+            const rule = routing.findRule(forum, memberRoles);
+            if (await rateLimiter.check(message, forum, rule)) return;
+            if (!rule) return;
+
+            if (forum.options.enforceThreads && message.channel.id !== rule.threadId) {
+                // Only relay what can be removed here, or the post would exist twice
+                const relayed = forum.options.relayWrongThread && message.deletable
+                    ? await threadRelay.relay(message, rule.threadId)
+                    : null;
+                await handleWrongThread(message, rule.threadId, relayed, getNotice(message.member, forum));
+                if (relayed && forum.options.checkUrls) {
+                    await trackUrls(relayed, forum);
+                }
                 return;
             }
 
-            const urls = message.content.match(urlTracker.urlRegex);
-            if (urls) {
-                setTimeout(async () => {
-                    const messageExists = await checkMessageExists(message);
-                    if (messageExists) {
-                        await urlTracker.handleUrlMessage(message, urls);
-                        
-                        const urlsToStore = urls.map(url => ({
-    url,
-    timestamp: message.createdTimestamp,
-    author: message.author.tag,
-    authorId: message.author.id,
-    threadName: message.channel.name,
-    threadId: message.channel.id,
-    messageId: message.id,
-    guildId: message.guild.id
-}));
-try {
-    await urlStore.saveUrls(message.channel.id, urlsToStore);
-} catch (error) {
-    logWithTimestamp(`Failed to store URLs: ${error.message}`, 'ERROR');
-    // Implement retry mechanism or queue for later processing
-}
-                    } else {
-                        logWithTimestamp(`Message ${message.id} no longer exists, skipping URL check`, 'INFO');
-                    }
-                }, URL_CHECK_TIMEOUT);
-            }
+            if (!forum.options.checkUrls) return;
+
+            await trackUrls(message, forum);
         } finally {
             threadNameData.done();
         }
     } catch (error) {
-        logWithTimestamp(`Error processing message: ${error.message}`, 'ERROR');
+        log.error(`Error processing message: ${error.message}`, messageContext(message));
     }
 });
 
+client.on('messageUpdate', async (oldMessage, newMessage) => {
+    try {
+        // Link previews being attached also fire updates
+        if (!oldMessage.partial && oldMessage.content === newMessage.content) return;
+        await handleMessageEdit(newMessage);
+    } catch (error) {
+        log.error(`Error processing message edit: ${error.message}`, { channelId: newMessage.channelId, messageId: newMessage.id });
+    }
+});
+
+// Deleted posts no longer own their URLs. Messages may be partial here, only IDs are used.
+client.on('messageDelete', async (message) => {
+    const registry = message.channel && registries.forChannel(message.channel);
+    if (!registry) return;
+    await registry.urlStore.releaseMessages([message.id])
+        .catch(error => log.error(`Error releasing URLs of deleted message: ${error.message}`, { channelId: message.channelId, messageId: message.id }));
+});
+
+client.on('messageDeleteBulk', async (messages, channel) => {
+    const registry = registries.forChannel(channel);
+    if (!registry) return;
+    await registry.urlStore.releaseMessages([...messages.keys()])
+        .catch(error => log.error(`Error releasing URLs of deleted messages: ${error.message}`, { channelId: channel.id }));
+});
+
+client.on('threadDelete', async (thread) => {
+    const registry = registries.forChannel(thread);
+    if (!registry) return;
+    await registry.urlStore.releaseThread(thread.id)
+        .catch(error => log.error(`Error releasing URLs of deleted thread: ${error.message}`, { channelId: thread.id }));
+});
+
+client.on('guildMemberUpdate', async (oldMember, newMember) => {
+    await tierTracker.handleMemberUpdate(oldMember, newMember);
+});
+
+client.on('interactionCreate', async (interaction) => {
+    memberLocales.remember(interaction.user.id, interaction.locale);
+    await disputes.handleInteraction(interaction);
+    await urlCommands.handleInteraction(interaction);
+    await routingCommands.handleInteraction(interaction);
+    await handleCommands.handleInteraction(interaction);
+});
+
 client.on('error', error => {
-    logWithTimestamp(`Client error: ${error.message}`, 'ERROR');
+    log.error(`Client error: ${error.message}`);
+});
+
+client.rest.on('response', (request, response) => {
+    if (response.status >= 400) {
+        metrics.discordApiErrors.inc({ status: response.status });
+    }
+});
+
+// Healthy once the gateway is connected and every URL registry is open
+async function getHealth() {
+    const stores = registries.all().map(({ name, urlStore }) => ({
+        registry: name,
+        initialized: urlStore.isInitialized,
+        lastWriteAt: urlStore.lastWriteAt ? new Date(urlStore.lastWriteAt).toISOString() : null
+    }));
+    const gatewayConnected = client.ws.status === Status.Ready;
+    return {
+        healthy: gatewayConnected && stores.length > 0 && stores.every(store => store.initialized),
+        gatewayConnected,
+        stores
+    };
+}
+
+metrics.registry.onCollect(async () => {
+    metrics.storeEntries.reset();
+    for (const { name, urlStore } of registries.all()) {
+        if (!urlStore.isInitialized) continue;
+        const stats = await urlStore.getStats();
+        for (const [channelId, count] of Object.entries(stats.urlsPerChannel)) {
+            metrics.storeEntries.set({ registry: name, channel: channelId }, count);
+        }
+    }
 });
 
+const metricsServer = METRICS_PORT
+    ? new MetricsServer({ port: METRICS_PORT, host: METRICS_HOST, registry: metrics.registry, healthCheck: getHealth })
+    : null;
+
 process.on('uncaughtException', error => {
-    logWithTimestamp(`Fatal error: ${error.message}`, 'FATAL');
+    log.fatal(`Fatal error: ${error.message}`);
     process.exit(1);
 });
 
 process.on('unhandledRejection', async (reason, promise) => {
-    logWithTimestamp(`Unhandled rejection: ${reason}`, 'ERROR');
+    log.error(`Unhandled rejection: ${reason}`);
     try {
         await promise;
     } catch (error) {
-        logWithTimestamp(`Failed to handle rejection: ${error}`, 'ERROR');
+        log.error(`Failed to handle rejection: ${error}`);
     }
 });
 
-process.on('SIGINT', () => {
-    logWithTimestamp('Shutting down...', 'SHUTDOWN');
-    urlStore.shutdown();
-    urlTracker.shutdown();
+async function shutdown() {
+    log.info('Shutting down...');
+    try {
+        // Let queued storage writes finish before exiting
+        await jobQueue.shutdown();
+        if (metricsServer) {
+            await metricsServer.stop();
+        }
+        await registries.shutdown();
+        await tierTracker.shutdown();
+        await memberLocales.shutdown();
+        await disputes.shutdown();
+        await handleLinks.shutdown();
+        await auditLog.shutdown();
+    } catch (error) {
+        log.error(`Error during shutdown: ${error.message}`);
+    }
     client.destroy();
     process.exit(0);
-});
+}
 
-process.on('SIGTERM', () => {
-    logWithTimestamp('Shutting down...', 'SHUTDOWN');
-    urlStore.shutdown();
-    urlTracker.shutdown();
-    client.destroy();
-    process.exit(0);
-});
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 validateEnvironmentVariables();
 
-client.login(process.env.DISCORD_TOKEN).catch(error => {
-    logWithTimestamp(`Login failed: ${error.message}`, 'FATAL');
+try {
+    routing.load();
+    messages.load();
+} catch (error) {
+    log.fatal(error.message);
     process.exit(1);
-});
\ No newline at end of file
+}
+
+// Pending jobs are loaded before any message can queue new ones. The metrics server starts
+// first so /healthz reports the bot as unhealthy while it connects.
+(metricsServer ? metricsServer.start() : Promise.resolve())
+    .then(() => jobQueue.init())
+    .then(() => memberLocales.init())
+    .then(() => disputes.load())
+    .then(() => handleLinks.load())
+    .then(() => client.login(process.env.DISCORD_TOKEN))
+    .catch(error => {
+        log.fatal(`Startup failed: ${error.message}`);
+        process.exit(1);
+    });
\ No newline at end of file
@@ -0,0 +1,148 @@
+const { logger, messageContext } = require('./logger');
+const { messages } = require('./messageBuilder');
+const { memberLocales } = require('./i18n');
+const { rateLimitHits } = require('./metrics');
+const {
+    RATE_LIMIT_MAX_REQUESTS,
+    RATE_LIMIT_COOLDOWN,
+    RATE_LIMIT_SCOPE,
+    RATE_LIMIT_ACTION,
+    RATE_LIMIT_TIMEOUT,
+    AUTO_DELETE_TIMER
+} = require('./config');
+
+const log = logger.child({ module: 'rateLimiter' });
+
+const DEFAULT_SETTINGS = {
+    maxRequests: RATE_LIMIT_MAX_REQUESTS,
+    window: RATE_LIMIT_COOLDOWN,
+    scope: RATE_LIMIT_SCOPE,
+    action: RATE_LIMIT_ACTION
+};
+
+// Sliding window limiter: a member may post maxRequests messages within any window (ms),
+// counted per forum ('user' scope) or per thread ('thread' scope). Settings come from the
+// RATE_LIMIT_* variables, overridden by the forum's rateLimit option and then by the
+// rateLimit of the member's routing rule.
+//
+// Going over the limit doesn't skip routing or URL checks. The member is warned once per
+// burst and, depending on the action, every message over the limit is deleted or the
+// member is timed out.
+class RateLimiter {
+    constructor(auditLog) {
+        this.auditLog = auditLog;
+        this.windows = new Map(); // key -> { timestamps, window }
+        this.metrics = new Map(); // forumId -> { hits, log, warn, delete, timeout }
+    }
+
+    getSettings(forum, rule) {
+        return { ...DEFAULT_SETTINGS, ...forum.options.rateLimit, ...(rule?.rateLimit || {}) };
+    }
+
+    getKey(message, forum, settings) {
+        return settings.scope === 'thread'
+            ? `${forum.forumId}:${message.channel.id}:${message.author.id}`
+            : `${forum.forumId}:${message.author.id}`;
+    }
+
+    // Records a message and returns how many fall in the window, including this one
+    record(key, window, now = Date.now()) {
+        const entry = this.windows.get(key) || { timestamps: [], window };
+        entry.window = window;
+        entry.timestamps = entry.timestamps.filter(timestamp => now - timestamp < window);
+        entry.timestamps.push(now);
+        this.windows.set(key, entry);
+        return entry.timestamps.length;
+    }
+
+    countHit(forumId, action) {
+        const metrics = this.metrics.get(forumId) || { hits: 0, log: 0, warn: 0, delete: 0, timeout: 0 };
+        metrics.hits++;
+        metrics[action]++;
+        this.metrics.set(forumId, metrics);
+        rateLimitHits.inc({ forum: forumId, action });
+    }
+
+    getMetrics(forumId) {
+        return this.metrics.get(forumId) || null;
+    }
+
+    // Returns true when the message was deleted and needs no further processing
+    async check(message, forum, rule) {
+        const settings = this.getSettings(forum, rule);
+        const count = this.record(this.getKey(message, forum, settings), settings.window);
+        if (count <= settings.maxRequests) return false;
+
+        const { action } = settings;
+        const firstHit = count === settings.maxRequests + 1;
+        this.countHit(forum.forumId, action);
+        log.warn(`Rate limit hit (${count} messages within ${settings.window} ms, action ${action})`, messageContext(message));
+
+        // Only the first hit of a burst is audited and warned about, the rest would flood both
+        if (firstHit) {
+            await this.auditLog.record({
+                type: 'rate_limit',
+                action,
+                reason: `More than ${settings.maxRequests} messages within ${settings.window} ms`,
+                ...this.auditLog.describeMessage(message)
+            });
+        }
+        if (action === 'log') return false;
+
+        if (firstHit) {
+            await this.sendWarning(message, settings, forum)
+                .catch(error => log.error(`Error sending rate limit warning: ${error.message}`, messageContext(message)));
+        }
+
+        try {
+            if (action === 'timeout' && firstHit) {
+                await this.timeoutMember(message);
+            }
+            if (action === 'delete' || action === 'timeout') {
+                if (message.deletable) {
+                    await message.delete();
+                    return true;
+                }
+                log.error(`Cannot delete rate limited message ${message.id}: missing permissions`);
+            }
+        } catch (error) {
+            log.error(`Error enforcing rate limit ${action}: ${error.message}`, messageContext(message));
+        }
+        return false;
+    }
+
+    async sendWarning(message, settings, forum) {
+        const embed = messages.build('rate-limit', {
+            member: `${message.author}`,
+            maxRequests: settings.maxRequests,
+            windowSeconds: Math.ceil(settings.window / 1000)
+        }, { branding: forum.options.branding, locale: memberLocales.localeFor(message.member, forum) });
+
+        const warning = await message.channel.send({ embeds: [embed] });
+        if (AUTO_DELETE_TIMER > 0) {
+            setTimeout(() => {
+                warning.delete().catch(error => log.error(`Error deleting rate limit warning: ${error.message}`));
+            }, AUTO_DELETE_TIMER);
+        }
+    }
+
+    async timeoutMember(message) {
+        if (!message.member?.moderatable) {
+            log.error(`Cannot time out ${message.author.tag}: missing permissions`);
+            return;
+        }
+        await message.member.timeout(RATE_LIMIT_TIMEOUT, 'Posting too fast');
+        log.info(`Timed out ${message.author.tag} for ${RATE_LIMIT_TIMEOUT / 60000} minutes`, { userId: message.author.id });
+    }
+
+    // Drops windows with no message left in them, called from the cache cleanup interval
+    prune(now = Date.now()) {
+        for (const [key, entry] of this.windows.entries()) {
+            if (entry.timestamps.every(timestamp => now - timestamp >= entry.window)) {
+                this.windows.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = RateLimiter;
\ No newline at end of file
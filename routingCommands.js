@@ -0,0 +1,153 @@
+const { SlashCommandBuilder, InteractionContextType } = require('discord.js');
+const { logger } = require('./logger');
+const { messages } = require('./messageBuilder');
+const { isModerator, MODERATOR_PERMISSIONS } = require('./urlCommands');
+
+const log = logger.child({ module: 'routingCommands' });
+
+const HISTORY_LIMIT = 15;
+
+// The /routing moderator command: reload routing.json without restarting, show what is active,
+// or list the tier changes of a member
+class RoutingCommands {
+    constructor(routing, registries, tierTracker, rateLimiter) {
+        this.routing = routing;
+        this.registries = registries;
+        this.tierTracker = tierTracker;
+        this.rateLimiter = rateLimiter;
+    }
+
+    buildDefinition() {
+        return new SlashCommandBuilder()
+            .setName('routing')
+            .setDescription('Manage the role to thread routing')
+            .setContexts(InteractionContextType.Guild)
+            .setDefaultMemberPermissions(MODERATOR_PERMISSIONS)
+            .addSubcommand(subcommand => subcommand
+                .setName('reload')
+                .setDescription('Reload the routing config file'))
+            .addSubcommand(subcommand => subcommand
+                .setName('show')
+                .setDescription('Show the active routing'))
+            .addSubcommand(subcommand => subcommand
+                .setName('history')
+                .setDescription('Show the role tier changes of a member')
+                .addUserOption(option => option
+                    .setName('member')
+                    .setDescription('Member to look up')
+                    .setRequired(true)));
+    }
+
+    async register(guild) {
+        await guild.commands.create(this.buildDefinition().toJSON());
+        log.info(`Registered /routing command in guild ${guild.name}`);
+    }
+
+    async handleInteraction(interaction) {
+        if (!interaction.isChatInputCommand() || interaction.commandName !== 'routing') return;
+
+        try {
+            if (!isModerator(interaction.member)) {
+                await interaction.reply({ content: 'Only moderators can use this command.', ephemeral: true });
+                return;
+            }
+
+            const subcommand = interaction.options.getSubcommand();
+            log.info(`/routing ${subcommand} used by ${interaction.user.tag}`, { guildId: interaction.guildId, userId: interaction.user.id });
+            if (subcommand === 'reload') {
+                await this.handleReload(interaction);
+            } else if (subcommand === 'history') {
+                await this.handleHistory(interaction);
+            } else {
+                await interaction.reply({ embeds: [this.buildRoutingEmbed(interaction.locale)], ephemeral: true });
+            }
+        } catch (error) {
+            log.error(`Error handling /routing command: ${error.message}`);
+            const reply = { content: 'An error occurred while processing the command.', ephemeral: true };
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply(reply).catch(() => {});
+            } else {
+                await interaction.reply(reply).catch(() => {});
+            }
+        }
+    }
+
+    // A config that fails validation is reported back and the previous routing stays active
+    async handleReload(interaction) {
+        try {
+            await this.routing.reload();
+        } catch (error) {
+            log.error(`Routing reload failed: ${error.message}`);
+            await interaction.reply({ content: `Routing was not changed:\n\`\`\`\n${error.message.substring(0, 1800)}\n\`\`\``, ephemeral: true });
+            return;
+        }
+        // Forums may now point at registries that aren't open yet
+        await interaction.deferReply({ ephemeral: true });
+        const failed = await this.registries.sync();
+        const content = failed.length > 0
+            ? `Routing reloaded, but these URL registries failed to open and their forums are not tracked: ${failed.join(', ')}. Check the logs.`
+            : 'Routing reloaded.';
+        await interaction.editReply({ content, embeds: [this.buildRoutingEmbed(interaction.locale)] });
+    }
+
+    // Needs TIER_HISTORY_FILE, nothing is recorded without it
+    async handleHistory(interaction) {
+        const user = interaction.options.getUser('member', true);
+        if (!this.tierTracker.historyFile) {
+            await interaction.reply({ content: 'Tier history is not recorded, set TIER_HISTORY_FILE to enable it.', ephemeral: true });
+            return;
+        }
+
+        const history = (await this.tierTracker.getHistory(user.id))
+            .filter(entry => entry.guildId === interaction.guildId);
+        if (history.length === 0) {
+            await interaction.reply({ content: `No tier changes recorded for ${user}.`, ephemeral: true });
+            return;
+        }
+
+        const lines = history.slice(-HISTORY_LIMIT).reverse().map(entry => {
+            const seconds = Math.floor(new Date(entry.timestamp).getTime() / 1000);
+            const from = entry.fromRoleId ? `<@&${entry.fromRoleId}>` : 'none';
+            const to = entry.toRoleId ? `<@&${entry.toRoleId}>` : 'none';
+            return `<t:${seconds}:f> <#${entry.forumId}>: ${from} -> ${to}`;
+        });
+
+        // Branded like the forum of the latest change
+        const latestForum = this.routing.getForum(history[history.length - 1].forumId);
+        const embed = messages.build('tier-history', { memberTag: user.tag, list: lines.join('\n') }, {
+            branding: latestForum?.options.branding,
+            locale: interaction.locale
+        });
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    // Covers every forum, so it has the default branding rather than one forum's
+    buildRoutingEmbed(locale) {
+        const fields = this.routing.getForumIds().slice(0, 25).map(forumId => {
+            const forum = this.routing.getForum(forumId);
+            const rules = forum.rules.map((rule, index) => `${index + 1}. <@&${rule.roleId}> -> <#${rule.threadId}>`
+                + (rule.rateLimit ? ` (rate limit ${Object.entries(rule.rateLimit).map(([key, item]) => `${key}=${item}`).join(' ')})` : ''));
+            const options = Object.entries(forum.options).map(([option, value]) => typeof value === 'object'
+                ? `${option}: ${Object.entries(value).map(([key, item]) => `${key}=${item}`).join(' ') || 'default'}`
+                : `${option}: ${value}`);
+            const hits = this.rateLimiter.getMetrics(forumId);
+            return {
+                name: forum.name,
+                value: [
+                    `<#${forum.forumId}> (registry ${forum.registry})`,
+                    ...rules,
+                    `Ignored roles: ${[...forum.ignoredRoles].map(roleId => `<@&${roleId}>`).join(', ') || 'none'}`,
+                    options.join(', '),
+                    hits
+                        ? `Rate limit hits since restart: ${hits.hits} (${['log', 'warn', 'delete', 'timeout'].map(action => `${action} ${hits[action]}`).join(', ')})`
+                        : 'Rate limit hits since restart: none'
+                ].join('\n').substring(0, 1024)
+            };
+        });
+
+        return messages.build('routing-overview', { source: this.routing.source }, { locale })
+            .addFields(fields);
+    }
+}
+
+module.exports = RoutingCommands;
\ No newline at end of file
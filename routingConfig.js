@@ -0,0 +1,276 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const { logger } = require('./logger');
+const { DUPLICATE_ACTION_TYPES, RATE_LIMIT_SCOPES, RATE_LIMIT_ACTION_TYPES } = require('./config');
+const { validateBranding } = require('./messageBuilder');
+const { isLocale } = require('./i18n');
+
+const log = logger.child({ module: 'routingConfig' });
+
+const DEFAULT_OPTIONS = {
+    enforceThreads: true, // Delete posts made outside the thread of the member's role
+    checkUrls: true, // Run the duplicate URL check on posts in this forum
+    relayWrongThread: false, // Repost wrong-thread posts into the right thread instead of only deleting them
+    duplicateActions: {}, // Per-case overrides of the DUPLICATE_*_ACTION settings
+    rateLimit: {}, // Overrides of the RATE_LIMIT_* settings, rules can override it again
+    branding: {}, // Overrides of the message template branding (footerText, footerIcon, color)
+    locale: '', // Language of notices for members whose own locale isn't known, DEFAULT_LOCALE when empty
+    roleLocales: {} // roleId -> locale, checked before locale
+};
+const DUPLICATE_CASES = ['otherAuthor', 'otherThread', 'sameThread', 'otherCreator'];
+
+// routing.json:
+// {
+//   "forums": [
+//     {
+//       "forumId": "123...",
+//       "name": "Content",                      // optional, used in logs
+//       "registry": "campaign-a",               // optional URL registry name, defaults to the forumId.
+//                                               // Forums sharing a registry share duplicate detection.
+//       "rules": [                              // ordered, the first rule matching a member's roles wins
+//         { "roleId": "456...", "threadId": "789...", "rateLimit": { "maxRequests": 10 } }
+//       ],
+//       "ignoredRoles": ["..."],                // members with any of these roles are left alone
+//       "options": { "enforceThreads": true, "checkUrls": true, "relayWrongThread": false,
+//                    "duplicateActions": { "otherAuthor": "delete" },
+//                    "rateLimit": { "maxRequests": 5, "window": 60000, "scope": "thread", "action": "delete" },
+//                    "branding": { "footerText": "Campaign A", "color": "#5865f2" },
+//                    "locale": "en", "roleLocales": { "321...": "ru" } }
+//     }
+//   ]
+// }
+function isDiscordId(value) {
+    return typeof value === 'string' && /^\d+$/.test(value);
+}
+
+// Registry names end up in file names (URL_DB_<registry>.json)
+function isRegistryName(value) {
+    return typeof value === 'string' && /^[A-Za-z0-9_-]+$/.test(value);
+}
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+// { maxRequests, window (ms), scope, action }, every field optional
+function validateRateLimit(rateLimit, at, errors) {
+    if (typeof rateLimit !== 'object' || rateLimit === null || Array.isArray(rateLimit)) {
+        errors.push(`${at} must be an object`);
+        return;
+    }
+    for (const [field, value] of Object.entries(rateLimit)) {
+        if (field === 'maxRequests' || field === 'window') {
+            if (!isPositiveInteger(value)) errors.push(`${at}.${field} must be a positive integer`);
+        } else if (field === 'scope') {
+            if (!RATE_LIMIT_SCOPES.includes(value)) errors.push(`${at}.scope must be one of ${RATE_LIMIT_SCOPES.join(', ')}`);
+        } else if (field === 'action') {
+            if (!RATE_LIMIT_ACTION_TYPES.includes(value)) errors.push(`${at}.action must be one of ${RATE_LIMIT_ACTION_TYPES.join(', ')}`);
+        } else {
+            errors.push(`${at}.${field} is not a known setting (maxRequests, window, scope, action)`);
+        }
+    }
+}
+
+// Collects every problem instead of stopping at the first, so one startup shows them all
+function validateRouting(data) {
+    const errors = [];
+    if (!data || !Array.isArray(data.forums) || data.forums.length === 0) {
+        return ['"forums" must be a non-empty array'];
+    }
+
+    const seenForums = new Set();
+    data.forums.forEach((forum, forumIndex) => {
+        const at = `forums[${forumIndex}]`;
+        if (!isDiscordId(forum.forumId)) {
+            errors.push(`${at}.forumId must be a Discord ID string`);
+        } else if (seenForums.has(forum.forumId)) {
+            errors.push(`${at}.forumId ${forum.forumId} is configured twice`);
+        } else {
+            seenForums.add(forum.forumId);
+        }
+
+        if (!Array.isArray(forum.rules) || forum.rules.length === 0) {
+            errors.push(`${at}.rules must be a non-empty array`);
+        } else {
+            const seenRoles = new Set();
+            forum.rules.forEach((rule, ruleIndex) => {
+                const ruleAt = `${at}.rules[${ruleIndex}]`;
+                if (!isDiscordId(rule.roleId)) {
+                    errors.push(`${ruleAt}.roleId must be a Discord ID string`);
+                } else if (seenRoles.has(rule.roleId)) {
+                    errors.push(`${ruleAt}.roleId ${rule.roleId} already has a rule in this forum`);
+                } else {
+                    seenRoles.add(rule.roleId);
+                }
+                if (!isDiscordId(rule.threadId)) {
+                    errors.push(`${ruleAt}.threadId must be a Discord ID string`);
+                }
+                if (rule.rateLimit !== undefined) {
+                    validateRateLimit(rule.rateLimit, `${ruleAt}.rateLimit`, errors);
+                }
+            });
+        }
+
+        if (forum.registry !== undefined && !isRegistryName(forum.registry)) {
+            errors.push(`${at}.registry may only contain letters, digits, '-' and '_'`);
+        }
+
+        if (forum.ignoredRoles !== undefined
+            && (!Array.isArray(forum.ignoredRoles) || !forum.ignoredRoles.every(isDiscordId))) {
+            errors.push(`${at}.ignoredRoles must be an array of Discord ID strings`);
+        }
+
+        for (const [option, value] of Object.entries(forum.options || {})) {
+            if (!(option in DEFAULT_OPTIONS)) {
+                errors.push(`${at}.options.${option} is not a known option (${Object.keys(DEFAULT_OPTIONS).join(', ')})`);
+            } else if (typeof value !== typeof DEFAULT_OPTIONS[option] || value === null) {
+                errors.push(`${at}.options.${option} must be a ${typeof DEFAULT_OPTIONS[option]}`);
+            }
+        }
+
+        if (forum.options?.rateLimit) {
+            validateRateLimit(forum.options.rateLimit, `${at}.options.rateLimit`, errors);
+        }
+
+        if (forum.options?.branding) {
+            validateBranding(forum.options.branding, `${at}.options.branding`, errors);
+        }
+
+        if (forum.options?.locale && !isLocale(forum.options.locale)) {
+            errors.push(`${at}.options.locale must be a Discord locale code (e.g. ru, es-ES)`);
+        }
+        for (const [roleId, locale] of Object.entries(forum.options?.roleLocales || {})) {
+            if (!isDiscordId(roleId) || !isLocale(locale)) {
+                errors.push(`${at}.options.roleLocales must map role IDs to Discord locale codes (e.g. ru, es-ES)`);
+                break;
+            }
+        }
+
+        for (const [caseName, action] of Object.entries(forum.options?.duplicateActions || {})) {
+            if (!DUPLICATE_CASES.includes(caseName)) {
+                errors.push(`${at}.options.duplicateActions.${caseName} is not a duplicate case (${DUPLICATE_CASES.join(', ')})`);
+            } else if (!DUPLICATE_ACTION_TYPES.includes(action)) {
+                errors.push(`${at}.options.duplicateActions.${caseName} must be one of ${DUPLICATE_ACTION_TYPES.join(', ')}`);
+            }
+        }
+    });
+
+    return errors;
+}
+
+function buildForums(data) {
+    const forums = new Map();
+    for (const forum of data.forums) {
+        forums.set(forum.forumId, {
+            forumId: forum.forumId,
+            name: forum.name || forum.forumId,
+            registry: forum.registry || forum.forumId,
+            rules: forum.rules.map(rule => ({ roleId: rule.roleId, threadId: rule.threadId, rateLimit: rule.rateLimit || null })),
+            ignoredRoles: new Set(forum.ignoredRoles || []),
+            options: { ...DEFAULT_OPTIONS, ...(forum.options || {}) }
+        });
+    }
+    return forums;
+}
+
+// Deployments from before routing.json: MAIN_CHANNEL_ID with six ROLE_n_ID/THREAD_n_ID tiers,
+// the highest tier taking precedence
+function routingFromEnvironment(env = process.env) {
+    const rules = [];
+    for (let i = 5; i >= 0; i--) {
+        if (env[`ROLE_${i}_ID`] || env[`THREAD_${i}_ID`]) {
+            rules.push({ roleId: env[`ROLE_${i}_ID`], threadId: env[`THREAD_${i}_ID`] });
+        }
+    }
+    return {
+        forums: [{
+            forumId: env.MAIN_CHANNEL_ID,
+            registry: env.MAIN_CHANNEL_ID,
+            rules,
+            ignoredRoles: env.IGNORED_ROLES ? env.IGNORED_ROLES.split(',').map(role => role.trim()).filter(Boolean) : []
+        }]
+    };
+}
+
+// Holds the active routing table. reload() only swaps it in once the new file validates,
+// so a broken edit never takes routing down.
+class RoutingConfig {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.source = null;
+        this.forums = new Map();
+    }
+
+    parse(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${this.filePath} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    apply(data, source) {
+        const errors = validateRouting(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid routing config (${source}):\n  ${errors.join('\n  ')}`);
+        }
+        this.forums = buildForums(data);
+        this.source = source;
+        log.info(`Loaded routing for ${this.forums.size} forum(s) from ${source}`);
+    }
+
+    // Startup load, falls back to the legacy environment variables when the file doesn't exist
+    load() {
+        if (fs.existsSync(this.filePath)) {
+            this.apply(this.parse(fs.readFileSync(this.filePath, 'utf8')), this.filePath);
+        } else {
+            if (!process.env.MAIN_CHANNEL_ID) {
+                throw new Error(`${this.filePath} not found and MAIN_CHANNEL_ID is not set, configure at least one forum`);
+            }
+            log.warn(`${this.filePath} not found, using ROLE_n_ID/THREAD_n_ID environment variables`);
+            this.apply(routingFromEnvironment(), 'environment');
+        }
+        return this;
+    }
+
+    async reload() {
+        const text = await fsp.readFile(this.filePath, 'utf8');
+        this.apply(this.parse(text), this.filePath);
+        return this;
+    }
+
+    getForum(forumId) {
+        return this.forums.get(forumId) || null;
+    }
+
+    getForumIds() {
+        return [...this.forums.keys()];
+    }
+
+    getRegistryNames() {
+        return [...new Set([...this.forums.values()].map(forum => forum.registry))];
+    }
+
+    isIgnored(forum, memberRoles) {
+        return [...forum.ignoredRoles].some(roleId => memberRoles.has(roleId));
+    }
+
+    // Threads the role's posts are routed to, in every forum. Posts stay filed under the thread
+    // they were made in, so these are the role tier's posts.
+    getRoleThreadIds(roleId) {
+        return [...this.forums.values()].flatMap(forum => forum.rules
+            .filter(rule => rule.roleId === roleId)
+            .map(rule => rule.threadId));
+    }
+
+    // The first rule whose role the member has, or null
+    findRule(forum, memberRoles) {
+        return forum.rules.find(rule => memberRoles.has(rule.roleId)) || null;
+    }
+}
+
+module.exports = {
+    RoutingConfig,
+    validateRouting,
+    routingFromEnvironment
+};
\ No newline at end of file
@@ -0,0 +1,37 @@
+// Usage: node scripts/checkLocales.js [locales dir]
+// Checks that every catalog in locales/ (or the given directory) translates every text of the
+// English templates, with the same placeholders, and nothing else. Exits with 1 when one doesn't,
+// so it can run before deploying catalog changes.
+require('dotenv').config();
+const { findCatalogProblems } = require('../messageBuilder');
+const { loadCatalogs, LOCALES_DIR } = require('../i18n');
+const { logger } = require('../logger');
+
+const log = logger.child({ module: 'checkLocales' });
+
+function main() {
+    const dir = process.argv[2] || LOCALES_DIR;
+    const catalogs = loadCatalogs(dir);
+    if (catalogs.size === 0) {
+        throw new Error(`No locale catalogs found in ${dir}`);
+    }
+
+    let failed = false;
+    for (const [locale, catalog] of catalogs) {
+        const problems = findCatalogProblems(catalog);
+        if (problems.length === 0) {
+            log.info(`${locale}: complete`);
+            continue;
+        }
+        failed = true;
+        log.error(`${locale}: ${problems.length} problem(s)\n  ${problems.join('\n  ')}`);
+    }
+    return failed ? 1 : 0;
+}
+
+try {
+    process.exitCode = main();
+} catch (error) {
+    log.fatal(`Locale check failed: ${error.message}`);
+    process.exit(1);
+}
\ No newline at end of file
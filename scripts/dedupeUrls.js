@@ -0,0 +1,25 @@
+// Usage: node scripts/dedupeUrls.js [registry]
+// Collapses duplicate entries for the same post in a URL registry (default: MAIN_CHANNEL_ID).
+// Stop the bot first, it keeps its own copy of the registry in memory.
+require('dotenv').config();
+const UrlStorage = require('../urlStore');
+const { logger } = require('../logger');
+
+const log = logger.child({ module: 'dedupeUrls' });
+
+async function main() {
+    const urlStore = new UrlStorage({ name: process.argv[2] });
+    await urlStore.init();
+
+    try {
+        const { before, after } = await urlStore.dedupe();
+        log.info(`Removed ${before - after} duplicate entries (${after} remaining)`);
+    } finally {
+        await urlStore.shutdown();
+    }
+}
+
+main().catch(error => {
+    log.fatal(`Dedupe failed: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,68 @@
+// Usage: node scripts/exportUrls.js [registry] [--format csv|json|ndjson] [--thread <id>] [--role <id>]
+//            [--user <id>] [--from <date>] [--to <date>] [--deleted] [--out <file>]
+// Exports the records of a URL registry (default: MAIN_CHANNEL_ID), optionally only those of a
+// thread, a role tier (the threads the routing config sends the role to), a member or a date
+// range. Dates are YYYY-MM-DD or ISO timestamps, a date-only --to includes that day. Released
+// URLs are only included with --deleted. Writes to stdout unless --out is given (logs go to
+// stdout too, keep them out with LOG_LEVEL=error).
+require('dotenv').config();
+const fs = require('fs');
+const { parseArgs } = require('util');
+const UrlStorage = require('../urlStore');
+const { RoutingConfig } = require('../routingConfig');
+const { buildExportFilter, formatRecords, EXPORT_FORMATS } = require('../urlExport');
+const { ROUTING_CONFIG } = require('../config');
+const { logger } = require('../logger');
+
+const log = logger.child({ module: 'exportUrls' });
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', default: 'csv' },
+            thread: { type: 'string' },
+            role: { type: 'string' },
+            user: { type: 'string' },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            deleted: { type: 'boolean', default: false },
+            out: { type: 'string' }
+        }
+    });
+    if (!EXPORT_FORMATS.includes(values.format)) {
+        throw new Error(`--format must be one of ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const routing = new RoutingConfig(ROUTING_CONFIG);
+    if (values.role) routing.load();
+    const filter = buildExportFilter({
+        threadId: values.thread,
+        roleId: values.role,
+        userId: values.user,
+        from: values.from,
+        to: values.to,
+        includeDeleted: values.deleted
+    }, routing);
+
+    const urlStore = new UrlStorage({ name: positionals[0] });
+    await urlStore.init();
+
+    try {
+        const records = await urlStore.exportUrls(filter);
+        const output = formatRecords(records, values.format);
+        if (values.out) {
+            fs.writeFileSync(values.out, output);
+            log.info(`Exported ${records.length} URL records to ${values.out}`);
+        } else {
+            process.stdout.write(output);
+        }
+    } finally {
+        await urlStore.shutdown();
+    }
+}
+
+main().catch(error => {
+    log.fatal(`Export failed: ${error.message}`);
+    process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,45 @@
+// Usage: node scripts/importJsonToSqlite.js [registry]
+// Copies URL_DB_<id>.json into URL_DB_<id>.sqlite. Refuses to run when the SQLite DB already has data.
+// Needs the better-sqlite3 package: npm install better-sqlite3
+require('dotenv').config();
+const fs = require('fs');
+const UrlStorage = require('../urlStore');
+const { createStorageBackend, getStoragePath, moveLegacyStorage } = require('../storage');
+const { logger } = require('../logger');
+
+const log = logger.child({ module: 'importJsonToSqlite' });
+
+async function main() {
+    const mainChannelId = process.argv[2] || process.env.MAIN_CHANNEL_ID;
+    if (!mainChannelId) {
+        throw new Error('Pass a registry name or set MAIN_CHANNEL_ID');
+    }
+
+    await moveLegacyStorage(mainChannelId, 'json');
+    await moveLegacyStorage(mainChannelId, 'sqlite');
+    const jsonFile = getStoragePath(mainChannelId, 'json');
+    if (!fs.existsSync(jsonFile)) {
+        throw new Error(`JSON storage file not found: ${jsonFile}`);
+    }
+
+    const backend = createStorageBackend('sqlite', mainChannelId);
+    await backend.init();
+
+    try {
+        const stats = await backend.getStats();
+        if (stats.totalUrls > 0) {
+            throw new Error(`SQLite storage already contains ${stats.totalUrls} URLs, aborting import`);
+        }
+
+        const urlStore = new UrlStorage();
+        const importedCount = await backend.importFromJson(jsonFile, entry => urlStore.withUrlKeys(entry));
+        log.info(`Imported ${importedCount} URLs from ${jsonFile}`);
+    } finally {
+        await backend.close();
+    }
+}
+
+main().catch(error => {
+    log.fatal(`Import failed: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,53 @@
+// Usage: node scripts/importUrls.js <file> [registry] [--format csv|json|ndjson] [--dry-run]
+// Merges the records of an export (see scripts/exportUrls.js), or of a URL_DB_<name>.json file or
+// backup, into a URL registry (default: MAIN_CHANNEL_ID). Records are upserted on their record key,
+// so importing the same file twice changes nothing. When a single record is invalid nothing is
+// imported. --dry-run only validates. The format defaults to the file extension.
+// Stop the bot first, it keeps its own copy of the registry in memory.
+require('dotenv').config();
+const fs = require('fs');
+const { parseArgs } = require('util');
+const UrlStorage = require('../urlStore');
+const { parseRecords, formatFromFileName, EXPORT_FORMATS } = require('../urlExport');
+const { logger } = require('../logger');
+
+const log = logger.child({ module: 'importUrls' });
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            format: { type: 'string' },
+            'dry-run': { type: 'boolean', default: false }
+        }
+    });
+    const [file, registry] = positionals;
+    if (!file) {
+        throw new Error('Pass the file to import');
+    }
+    const format = values.format || formatFromFileName(file);
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new Error(`Cannot tell the format of ${file}, pass --format ${EXPORT_FORMATS.join('|')}`);
+    }
+
+    const records = parseRecords(fs.readFileSync(file, 'utf8'), format);
+    const urlStore = new UrlStorage({ name: registry });
+    await urlStore.init();
+
+    try {
+        if (values['dry-run']) {
+            urlStore.prepareImport(records);
+            log.info(`All ${records.length} URL records in ${file} are valid, nothing was written`);
+            return;
+        }
+        const { added, updated, unchanged } = await urlStore.importUrls(records);
+        log.info(`Imported ${file}: ${added} added, ${updated} updated, ${unchanged} unchanged`);
+    } finally {
+        await urlStore.shutdown();
+    }
+}
+
+main().catch(error => {
+    log.fatal(`Import failed: ${error.message}`);
+    process.exit(1);
+});
\ No newline at end of file
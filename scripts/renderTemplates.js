@@ -0,0 +1,106 @@
+// Usage: node scripts/renderTemplates.js [templates file] [forum id]
+// Renders every message template in every locale with sample values and prints the embeds as
+// JSON, using the templates file (default: MESSAGE_TEMPLATES), the catalogs in locales/ and the
+// branding of the given routed forum.
+// The output only depends on the files, so it can be saved and diffed as a snapshot
+// (logs go to stdout too, keep them out with LOG_LEVEL=error):
+//   LOG_LEVEL=error node scripts/renderTemplates.js > messages.snapshot.json
+// test/messageBuilder.test.js compares the default templates and catalogs with the committed
+// test/messages.snapshot.json the same way.
+require('dotenv').config();
+const { MessageBuilder, DEFAULT_TEMPLATES } = require('../messageBuilder');
+const { RoutingConfig } = require('../routingConfig');
+const { ROUTING_CONFIG } = require('../config');
+const { logger } = require('../logger');
+
+const log = logger.child({ module: 'renderTemplates' });
+
+const SAMPLE_VARS = {
+    member: '<@100000000000000000>',
+    threadId: '200000000000000001',
+    previousThreadId: '200000000000000000',
+    content: 'Check out my latest thread about Botanix',
+    attachments: 2,
+    messageUrl: 'https://discord.com/channels/1/200000000000000001/300000000000000001',
+    postedAt: '2023-11-14T22:13:20.000Z',
+    originalPoster: '<@100000000000000001>',
+    originalThreadId: '200000000000000000',
+    originalMessageUrl: 'https://discord.com/channels/1/200000000000000000/300000000000000000',
+    url: 'https://x.com/botanixlabs/status/1',
+    platform: 'twitter',
+    handle: 'botanixlabs',
+    ownerId: '100000000000000001',
+    memberTag: 'member',
+    handles: 'twitter: @botanixlabs',
+    requests: 'medium: @botanix',
+    count: 3,
+    channelId: '1338452316109668393',
+    urls: 42,
+    threads: 6,
+    messages: 1200,
+    added: 40,
+    updated: 2,
+    unchanged: 0,
+    maxRequests: 5,
+    windowSeconds: 60,
+    guildName: 'Botanix',
+    forumName: 'Content',
+    number: 2,
+    claimantId: '100000000000000000',
+    claimantTag: 'member',
+    owner: '<@100000000000000001>',
+    registry: 'main',
+    proof: 'I run the botanixlabs account, see the link in my profile',
+    moderatorId: '100000000000000002',
+    note: 'The contested record no longer exists, nothing was transferred',
+    disputes: '<t:1700000000:f> (<t:1700000000:R>): <@100000000000000000> claimed it, approved by <@100000000000000002>',
+    list: '<t:1700000000:d> <#200000000000000001> https://x.com/botanixlabs/status/1',
+    shown: 10,
+    total: 25,
+    channels: 4,
+    backend: 'json',
+    source: 'routing.json'
+};
+
+function main() {
+    const messages = new MessageBuilder(process.argv[2]).load();
+
+    let branding = {};
+    if (process.argv[3]) {
+        const routing = new RoutingConfig(ROUTING_CONFIG);
+        routing.load();
+        const forum = routing.getForum(process.argv[3]);
+        if (!forum) {
+            throw new Error(`Forum ${process.argv[3]} is not in the routing config`);
+        }
+        branding = forum.options.branding;
+    }
+
+    process.stdout.write(`${JSON.stringify(renderAll(messages, branding), null, 2)}\n`);
+}
+
+// locale -> template name -> embed data
+function renderAll(messages, branding = {}) {
+    const rendered = {};
+    for (const locale of messages.getLocales()) {
+        rendered[locale] = {};
+        for (const name of Object.keys(DEFAULT_TEMPLATES)) {
+            rendered[locale][name] = messages.render(name, SAMPLE_VARS, { branding, locale });
+        }
+    }
+    return rendered;
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        log.fatal(`Rendering failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    renderAll,
+    SAMPLE_VARS
+};
\ No newline at end of file
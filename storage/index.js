@@ -0,0 +1,64 @@
+const fs = require('fs/promises');
+const path = require('path');
+const JsonBackend = require('./jsonBackend');
+const { logger } = require('../logger');
+const { DATA_DIR } = require('../config');
+
+const log = logger.child({ module: 'storage' });
+
+// Registries used to be kept next to the code, before DATA_DIR existed
+const LEGACY_STORAGE_DIR = path.join(__dirname, '..');
+
+function getStoragePath(name, backendType, dir = DATA_DIR) {
+    const extension = backendType === 'sqlite' ? 'sqlite' : 'json';
+    return path.join(dir, `URL_DB_${name}.${extension}`);
+}
+
+// Moves a registry file left in the old location into DATA_DIR, unless DATA_DIR already has one
+async function moveLegacyStorage(name, backendType) {
+    const legacyPath = getStoragePath(name, backendType, LEGACY_STORAGE_DIR);
+    const storagePath = getStoragePath(name, backendType);
+    if (legacyPath === storagePath) return;
+
+    const exists = file => fs.access(file).then(() => true, () => false);
+    if (!await exists(legacyPath) || await exists(storagePath)) return;
+
+    await fs.mkdir(path.dirname(storagePath), { recursive: true });
+    try {
+        await fs.rename(legacyPath, storagePath);
+    } catch (error) {
+        // DATA_DIR on another filesystem
+        if (error.code !== 'EXDEV') throw error;
+        await fs.copyFile(legacyPath, storagePath);
+        await fs.unlink(legacyPath);
+    }
+    log.info(`Moved URL registry ${legacyPath} to ${storagePath}`, { registry: name });
+}
+
+function createStorageBackend(backendType, name) {
+    switch (backendType) {
+        case 'json':
+            return new JsonBackend(getStoragePath(name, 'json'));
+        case 'sqlite': {
+            // Required lazily so JSON deployments don't need the native module
+            let SqliteBackend;
+            try {
+                SqliteBackend = require('./sqliteBackend');
+            } catch (error) {
+                if (error.code === 'MODULE_NOT_FOUND' && error.message.includes('better-sqlite3')) {
+                    throw new Error('URL_STORE_BACKEND=sqlite needs the better-sqlite3 package, install it with: npm install better-sqlite3');
+                }
+                throw error;
+            }
+            return new SqliteBackend(getStoragePath(name, 'sqlite'));
+        }
+        default:
+            throw new Error(`Unknown URL storage backend: ${backendType}`);
+    }
+}
+
+module.exports = {
+    createStorageBackend,
+    getStoragePath,
+    moveLegacyStorage
+};
@@ -0,0 +1,394 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('../logger');
+const { STORAGE_BACKUP_COUNT, STORAGE_BACKUP_INTERVAL } = require('../config');
+
+const log = logger.child({ module: 'jsonBackend' });
+
+// Keeps the whole registry in memory and mirrors it to a single JSON file.
+// Fine for small deployments, every write rewrites the file.
+class JsonBackend {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.backupDir = path.join(path.dirname(filePath), 'backups');
+        this.urls = new Map();
+        this.index = new Map(); // recordKey -> { channelId, entry }
+        this.pendingWrite = null;
+        this.dirty = false;
+        this.lastBackupAt = 0;
+    }
+
+    async init() {
+        const urlData = await this.load();
+
+        for (const [channelId, urls] of Object.entries(urlData)) {
+            this.urls.set(channelId, urls);
+        }
+        this.buildIndex();
+        log.info(`JSON storage loaded from ${this.filePath}`);
+    }
+
+    // A missing file starts an empty registry, a corrupt one is never silently replaced:
+    // the newest readable backup is restored, otherwise startup fails.
+    async load() {
+        let data;
+        try {
+            data = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+
+        try {
+            return JSON.parse(data);
+        } catch (error) {
+            log.error(`Storage file ${this.filePath} is corrupt: ${error.message}`);
+        }
+
+        for (const backupFile of (await this.listBackups()).reverse()) {
+            let urlData;
+            try {
+                urlData = JSON.parse(await fs.readFile(backupFile, 'utf8'));
+            } catch (error) {
+                log.error(`Backup ${backupFile} is unusable: ${error.message}`);
+                continue;
+            }
+
+            const corruptFile = `${this.filePath}.corrupt-${Date.now()}`;
+            await fs.rename(this.filePath, corruptFile);
+            await fs.copyFile(backupFile, this.filePath);
+            log.error(`Corrupt storage file moved to ${corruptFile}`);
+            log.info(`Restored URL storage from backup ${backupFile}`);
+            return urlData;
+        }
+
+        throw new Error(`Storage file ${this.filePath} is corrupt and no valid backup exists, refusing to start`);
+    }
+
+    // Oldest first; backup names embed a sortable timestamp
+    async listBackups() {
+        const prefix = `${path.basename(this.filePath)}.`;
+        const files = await fs.readdir(this.backupDir).catch(() => []);
+        return files
+            .filter(file => file.startsWith(prefix) && file.endsWith('.bak'))
+            .sort()
+            .map(file => path.join(this.backupDir, file));
+    }
+
+    async backup() {
+        if (STORAGE_BACKUP_COUNT <= 0 || Date.now() - this.lastBackupAt < STORAGE_BACKUP_INTERVAL) {
+            return;
+        }
+
+        try {
+            await fs.mkdir(this.backupDir, { recursive: true });
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const backupFile = path.join(this.backupDir, `${path.basename(this.filePath)}.${stamp}.bak`);
+            await fs.copyFile(this.filePath, backupFile);
+            this.lastBackupAt = Date.now();
+
+            const backups = await this.listBackups();
+            for (const oldBackup of backups.slice(0, Math.max(0, backups.length - STORAGE_BACKUP_COUNT))) {
+                await fs.unlink(oldBackup);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.error(`Error creating storage backup: ${error.message}`);
+            }
+        }
+    }
+
+    async writeAtomic() {
+        const data = JSON.stringify(Object.fromEntries(this.urls), null, 2);
+        const tempFile = `${this.filePath}.tmp`;
+
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const handle = await fs.open(tempFile, 'w');
+        try {
+            await handle.writeFile(data);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        await this.backup();
+        await fs.rename(tempFile, this.filePath);
+    }
+
+    // Writes are serialized; calls arriving while a write is running are coalesced
+    // into a single follow-up write of the latest state.
+    persist() {
+        this.dirty = true;
+        if (!this.pendingWrite) {
+            this.pendingWrite = (async () => {
+                try {
+                    while (this.dirty) {
+                        this.dirty = false;
+                        await this.writeAtomic();
+                    }
+                } finally {
+                    this.pendingWrite = null;
+                }
+            })();
+        }
+        return this.pendingWrite;
+    }
+
+    buildIndex() {
+        this.index.clear();
+        for (const [channelId, urls] of this.urls.entries()) {
+            for (const entry of urls) {
+                if (entry.recordKey) {
+                    this.index.set(entry.recordKey, { channelId, entry });
+                }
+            }
+        }
+    }
+
+    // Tombstoned entries (deletedAt set) are kept for history but never match
+    matches(entry, keys) {
+        if (entry.deletedAt) return false;
+        return (keys.contentKey && entry.contentKey === keys.contentKey)
+            || entry.canonicalUrl === keys.canonicalUrl;
+    }
+
+    // Earliest matching entry across all channels
+    findMatch(keys) {
+        let found = null;
+        for (const [channelId, urls] of this.urls.entries()) {
+            for (const entry of urls) {
+                if (this.matches(entry, keys) && (!found || entry.timestamp < found.entry.timestamp)) {
+                    found = { channelId, entry };
+                }
+            }
+        }
+        return found;
+    }
+
+    async getChannelIds() {
+        return Array.from(this.urls.keys());
+    }
+
+    async getUrls(channelId) {
+        return this.urls.get(channelId) || [];
+    }
+
+    // Every entry posted by the user, newest first
+    async getUrlsByUser(userId) {
+        const found = [];
+        for (const [channelId, urls] of this.urls.entries()) {
+            for (const entry of urls) {
+                if (entry.userId === userId) {
+                    found.push({ ...entry, channelId });
+                }
+            }
+        }
+        return found.sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    // Live entries of a message, whichever channel they are stored under
+    async getLiveUrlsForMessage(messageId) {
+        const found = [];
+        for (const [channelId, urls] of this.urls.entries()) {
+            for (const entry of urls) {
+                if (entry.messageId === messageId && !entry.deletedAt) {
+                    found.push({ ...entry, channelId });
+                }
+            }
+        }
+        return found;
+    }
+
+    async findFirst(keys) {
+        const found = this.findMatch(keys);
+        return found ? { ...found.entry, channelId: found.channelId } : null;
+    }
+
+    async findByRecordKey(recordKey) {
+        const found = this.index.get(recordKey);
+        return found ? { ...found.entry, channelId: found.channelId } : null;
+    }
+
+    // Entries are keyed on recordKey: unknown keys are added, known ones are merged in place.
+    // When the write fails the changes are undone, so a retry doesn't find them already stored.
+    async upsert(channelId, entries) {
+        const result = { added: 0, updated: 0, unchanged: 0, addedEntries: [] };
+        const addedUrls = [];
+        const previousEntries = new Map(); // merged entry -> copy from before the merge
+        const hadChannel = this.urls.has(channelId);
+
+        for (const entry of entries) {
+            const existing = this.index.get(entry.recordKey);
+            if (!existing) {
+                addedUrls.push(entry);
+                this.index.set(entry.recordKey, { channelId, entry });
+                result.added++;
+                result.addedEntries.push(entry);
+                continue;
+            }
+
+            const merged = { ...existing.entry, ...entry };
+            if (JSON.stringify(merged) === JSON.stringify(existing.entry)) {
+                result.unchanged++;
+            } else {
+                if (!previousEntries.has(existing.entry)) {
+                    previousEntries.set(existing.entry, { ...existing.entry });
+                }
+                Object.assign(existing.entry, entry);
+                result.updated++;
+            }
+        }
+
+        if (addedUrls.length > 0) {
+            const updatedUrls = [...(this.urls.get(channelId) || []), ...addedUrls];
+            updatedUrls.sort((a, b) => b.timestamp - a.timestamp);
+            this.urls.set(channelId, updatedUrls);
+        }
+
+        if (result.added > 0 || result.updated > 0) {
+            try {
+                await this.persist();
+            } catch (error) {
+                this.undoUpsert(channelId, hadChannel, addedUrls, previousEntries);
+                throw error;
+            }
+        }
+        return result;
+    }
+
+    undoUpsert(channelId, hadChannel, addedUrls, previousEntries) {
+        const added = new Set(addedUrls);
+        const keptUrls = (this.urls.get(channelId) || []).filter(entry => !added.has(entry));
+        if (keptUrls.length > 0 || hadChannel) {
+            this.urls.set(channelId, keptUrls);
+        } else {
+            this.urls.delete(channelId);
+        }
+        for (const entry of addedUrls) {
+            this.index.delete(entry.recordKey);
+        }
+
+        for (const [entry, previous] of previousEntries) {
+            for (const field of Object.keys(entry)) {
+                delete entry[field];
+            }
+            Object.assign(entry, previous);
+        }
+    }
+
+    async getAll() {
+        return Object.fromEntries(this.urls);
+    }
+
+    async replaceAll(urlData) {
+        this.urls = new Map(Object.entries(urlData));
+        this.buildIndex();
+        await this.persist();
+    }
+
+    async deleteFirst(keys) {
+        const found = this.findMatch(keys);
+        if (!found) return null;
+
+        const urls = this.urls.get(found.channelId);
+        urls.splice(urls.indexOf(found.entry), 1);
+        this.index.delete(found.entry.recordKey);
+        await this.persist();
+        return { ...found.entry, channelId: found.channelId };
+    }
+
+    // Removes the live entries of a thread, of some messages or with some record keys. With
+    // deletedAt they are tombstoned instead. Returns the released entries.
+    async release({ threadId = null, messageIds = null, recordKeys = null }, deletedAt = null) {
+        const wantedMessages = messageIds ? new Set(messageIds) : null;
+        const wantedRecords = recordKeys ? new Set(recordKeys) : null;
+        const released = [];
+
+        for (const [entryChannelId, urls] of this.urls.entries()) {
+            const keptUrls = [];
+            for (const entry of urls) {
+                const selected = !entry.deletedAt
+                    && (!threadId || entry.threadId === threadId)
+                    && (!wantedMessages || wantedMessages.has(entry.messageId))
+                    && (!wantedRecords || wantedRecords.has(entry.recordKey));
+                if (!selected) {
+                    keptUrls.push(entry);
+                    continue;
+                }
+
+                released.push({ ...entry, channelId: entryChannelId });
+                if (deletedAt) {
+                    entry.deletedAt = deletedAt;
+                    keptUrls.push(entry);
+                }
+            }
+            this.urls.set(entryChannelId, keptUrls);
+        }
+
+        if (released.length > 0) {
+            this.buildIndex();
+            await this.persist();
+        }
+        return released;
+    }
+
+    // Tombstones and the records in keepRecordKeys are never deleted
+    async deleteOlderThan(cutoff, keepRecordKeys = new Set()) {
+        let totalRemoved = 0;
+        for (const [channelId, urls] of this.urls.entries()) {
+            const filteredUrls = urls.filter(url =>
+                url.timestamp >= cutoff || url.deletedAt || keepRecordKeys.has(url.recordKey));
+            if (filteredUrls.length !== urls.length) {
+                this.urls.set(channelId, filteredUrls);
+                totalRemoved += urls.length - filteredUrls.length;
+            }
+        }
+
+        if (totalRemoved > 0) {
+            this.buildIndex();
+            await this.persist();
+        }
+        return totalRemoved;
+    }
+
+    // transform(entry, channelId) mutates the entry and returns true when it changed
+    async rewrite(transform) {
+        let changedCount = 0;
+        for (const [channelId, urls] of this.urls.entries()) {
+            for (const entry of urls) {
+                if (transform(entry, channelId)) {
+                    changedCount++;
+                }
+            }
+        }
+
+        if (changedCount > 0) {
+            this.buildIndex();
+            await this.persist();
+        }
+        return changedCount;
+    }
+
+    async getStats() {
+        const stats = {
+            totalUrls: 0,
+            channelCount: this.urls.size,
+            urlsPerChannel: {}
+        };
+
+        for (const [channelId, urls] of this.urls.entries()) {
+            stats.totalUrls += urls.length;
+            stats.urlsPerChannel[channelId] = urls.length;
+        }
+
+        return stats;
+    }
+
+    async close() {
+        if (this.pendingWrite) {
+            await this.pendingWrite;
+        }
+    }
+}
+
+module.exports = JsonBackend;
\ No newline at end of file
@@ -0,0 +1,318 @@
+const fs = require('fs/promises');
+const path = require('path');
+// Not needed by the JSON backend, so only installed for URL_STORE_BACKEND=sqlite (see config.js)
+const Database = require('better-sqlite3');
+const { logger } = require('../logger');
+
+const log = logger.child({ module: 'sqliteBackend' });
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS urls (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        channel_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        canonical_url TEXT NOT NULL,
+        content_key TEXT,
+        record_key TEXT,
+        author_id TEXT,
+        message_id TEXT,
+        thread_id TEXT,
+        timestamp INTEGER NOT NULL,
+        deleted_at INTEGER,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_urls_canonical_url ON urls (canonical_url);
+    CREATE INDEX IF NOT EXISTS idx_urls_content_key ON urls (content_key);
+    CREATE INDEX IF NOT EXISTS idx_urls_record_key ON urls (record_key);
+    CREATE INDEX IF NOT EXISTS idx_urls_channel_id ON urls (channel_id, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_urls_author_id ON urls (author_id);
+    CREATE INDEX IF NOT EXISTS idx_urls_message_id ON urls (message_id);
+    CREATE INDEX IF NOT EXISTS idx_urls_thread_id ON urls (thread_id);
+    CREATE INDEX IF NOT EXISTS idx_urls_timestamp ON urls (timestamp);
+`;
+
+function toRow(channelId, entry) {
+    return {
+        channel_id: channelId,
+        url: entry.url,
+        canonical_url: entry.canonicalUrl,
+        content_key: entry.contentKey || null,
+        record_key: entry.recordKey || null,
+        author_id: entry.userId || null,
+        message_id: entry.messageId || null,
+        thread_id: entry.threadId || null,
+        timestamp: entry.timestamp,
+        deleted_at: entry.deletedAt || null,
+        data: JSON.stringify(entry)
+    };
+}
+
+function toEntry(row) {
+    return JSON.parse(row.data);
+}
+
+// Indexed registry for larger deployments. better-sqlite3 is synchronous, every
+// multi-row write runs in a single transaction so a crash never leaves a partial write.
+class SqliteBackend {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.db = null;
+    }
+
+    async init() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+        this.addMissingColumns();
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            channelIds: this.db.prepare('SELECT DISTINCT channel_id FROM urls'),
+            byChannel: this.db.prepare('SELECT data FROM urls WHERE channel_id = ? ORDER BY timestamp DESC'),
+            byAuthor: this.db.prepare('SELECT channel_id, data FROM urls WHERE author_id = ? ORDER BY timestamp DESC'),
+            // Tombstoned rows (deleted_at set) are kept for history but never match
+            findFirst: this.db.prepare(`
+                SELECT id, channel_id, data FROM urls
+                WHERE (content_key = @contentKey OR canonical_url = @canonicalUrl) AND deleted_at IS NULL
+                ORDER BY timestamp ASC LIMIT 1`),
+            // Backfilled entries are stored under the forum, a thread's entries are found by thread_id
+            liveByThread: this.db.prepare('SELECT id, channel_id, data FROM urls WHERE thread_id = ? AND deleted_at IS NULL'),
+            liveByMessage: this.db.prepare('SELECT id, channel_id, data FROM urls WHERE message_id = ? AND deleted_at IS NULL'),
+            byRecordKey: this.db.prepare('SELECT id, channel_id, data FROM urls WHERE record_key = ?'),
+            insert: this.db.prepare(`
+                INSERT INTO urls (channel_id, url, canonical_url, content_key, record_key, author_id, message_id, thread_id, timestamp, deleted_at, data)
+                VALUES (@channel_id, @url, @canonical_url, @content_key, @record_key, @author_id, @message_id, @thread_id, @timestamp, @deleted_at, @data)`),
+            update: this.db.prepare(`
+                UPDATE urls SET channel_id = @channel_id, url = @url, canonical_url = @canonical_url,
+                    content_key = @content_key, record_key = @record_key, author_id = @author_id,
+                    message_id = @message_id, thread_id = @thread_id, timestamp = @timestamp, deleted_at = @deleted_at, data = @data
+                WHERE id = @id`),
+            deleteAll: this.db.prepare('DELETE FROM urls'),
+            deleteById: this.db.prepare('DELETE FROM urls WHERE id = ?'),
+            olderThan: this.db.prepare('SELECT id, record_key FROM urls WHERE timestamp < ? AND deleted_at IS NULL'),
+            all: this.db.prepare('SELECT id, channel_id, data FROM urls'),
+            countPerChannel: this.db.prepare('SELECT channel_id, COUNT(*) AS count FROM urls GROUP BY channel_id')
+        };
+
+        this.insertMany = this.db.transaction((channelId, entries) => {
+            for (const entry of entries) {
+                this.statements.insert.run(toRow(channelId, entry));
+            }
+            return entries.length;
+        });
+
+        this.upsertMany = this.db.transaction((channelId, entries) => {
+            const result = { added: 0, updated: 0, unchanged: 0, addedEntries: [] };
+            for (const entry of entries) {
+                const row = this.statements.byRecordKey.get(entry.recordKey);
+                if (!row) {
+                    this.statements.insert.run(toRow(channelId, entry));
+                    result.added++;
+                    result.addedEntries.push(entry);
+                    continue;
+                }
+
+                const existing = toEntry(row);
+                const merged = { ...existing, ...entry };
+                if (JSON.stringify(merged) === JSON.stringify(existing)) {
+                    result.unchanged++;
+                } else {
+                    this.statements.update.run({ id: row.id, ...toRow(row.channel_id, merged) });
+                    result.updated++;
+                }
+            }
+            return result;
+        });
+
+        log.info(`SQLite storage opened at ${this.filePath}`);
+    }
+
+    // Databases created by older versions lack the columns the indexes need
+    addMissingColumns() {
+        const table = this.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'urls'").get();
+        if (!table) return;
+
+        const columns = this.db.prepare('PRAGMA table_info(urls)').all().map(column => column.name);
+        if (!columns.includes('record_key')) {
+            this.db.exec('ALTER TABLE urls ADD COLUMN record_key TEXT');
+        }
+        if (!columns.includes('message_id')) {
+            this.db.exec('ALTER TABLE urls ADD COLUMN message_id TEXT');
+            this.db.exec("UPDATE urls SET message_id = json_extract(data, '$.messageId')");
+        }
+        if (!columns.includes('thread_id')) {
+            this.db.exec('ALTER TABLE urls ADD COLUMN thread_id TEXT');
+            this.db.exec("UPDATE urls SET thread_id = json_extract(data, '$.threadId')");
+        }
+        if (!columns.includes('deleted_at')) {
+            this.db.exec('ALTER TABLE urls ADD COLUMN deleted_at INTEGER');
+        }
+    }
+
+    async getChannelIds() {
+        return this.statements.channelIds.all().map(row => row.channel_id);
+    }
+
+    async getUrls(channelId) {
+        return this.statements.byChannel.all(channelId).map(toEntry);
+    }
+
+    // Every entry posted by the user, newest first
+    async getUrlsByUser(userId) {
+        return this.statements.byAuthor.all(userId).map(row => ({ ...toEntry(row), channelId: row.channel_id }));
+    }
+
+    // Live entries of a message, whichever channel they are stored under
+    async getLiveUrlsForMessage(messageId) {
+        return this.statements.liveByMessage.all(messageId).map(row => ({ ...toEntry(row), channelId: row.channel_id }));
+    }
+
+    async findFirst(keys) {
+        const row = this.statements.findFirst.get({
+            contentKey: keys.contentKey || null,
+            canonicalUrl: keys.canonicalUrl
+        });
+        return row ? { ...toEntry(row), channelId: row.channel_id } : null;
+    }
+
+    async findByRecordKey(recordKey) {
+        const row = this.statements.byRecordKey.get(recordKey);
+        return row ? { ...toEntry(row), channelId: row.channel_id } : null;
+    }
+
+    // Entries are keyed on recordKey: unknown keys are added, known ones are merged in place
+    async upsert(channelId, entries) {
+        return this.upsertMany(channelId, entries);
+    }
+
+    async getAll() {
+        const urlData = {};
+        for (const row of this.statements.all.all()) {
+            (urlData[row.channel_id] = urlData[row.channel_id] || []).push(toEntry(row));
+        }
+        return urlData;
+    }
+
+    async replaceAll(urlData) {
+        const replace = this.db.transaction(() => {
+            this.statements.deleteAll.run();
+            for (const [channelId, urls] of Object.entries(urlData)) {
+                this.insertMany(channelId, urls);
+            }
+        });
+        replace();
+    }
+
+    async deleteFirst(keys) {
+        const row = this.statements.findFirst.get({
+            contentKey: keys.contentKey || null,
+            canonicalUrl: keys.canonicalUrl
+        });
+        if (!row) return null;
+
+        this.statements.deleteById.run(row.id);
+        return { ...toEntry(row), channelId: row.channel_id };
+    }
+
+    // Removes the live entries of a thread, of some messages or with some record keys. With
+    // deletedAt they are tombstoned instead. Returns the released entries.
+    async release({ threadId = null, messageIds = null, recordKeys = null }, deletedAt = null) {
+        const releaseAll = this.db.transaction(() => {
+            let rows;
+            if (messageIds) {
+                rows = messageIds.flatMap(messageId => this.statements.liveByMessage.all(messageId));
+            } else if (recordKeys) {
+                rows = recordKeys.flatMap(recordKey => this.statements.byRecordKey.all(recordKey));
+            } else {
+                rows = this.statements.liveByThread.all(threadId);
+            }
+
+            const wantedRecords = recordKeys ? new Set(recordKeys) : null;
+            const released = [];
+            for (const row of rows) {
+                const entry = toEntry(row);
+                if (entry.deletedAt || (threadId && entry.threadId !== threadId)
+                    || (wantedRecords && !wantedRecords.has(entry.recordKey))) {
+                    continue;
+                }
+
+                released.push({ ...entry, channelId: row.channel_id });
+                if (deletedAt) {
+                    this.statements.update.run({ id: row.id, ...toRow(row.channel_id, { ...entry, deletedAt }) });
+                } else {
+                    this.statements.deleteById.run(row.id);
+                }
+            }
+            return released;
+        });
+        return releaseAll();
+    }
+
+    // Tombstones and the records in keepRecordKeys are never deleted
+    async deleteOlderThan(cutoff, keepRecordKeys = new Set()) {
+        const deleteOld = this.db.transaction(() => {
+            let removed = 0;
+            for (const row of this.statements.olderThan.all(cutoff)) {
+                if (keepRecordKeys.has(row.record_key)) continue;
+                removed += this.statements.deleteById.run(row.id).changes;
+            }
+            return removed;
+        });
+        return deleteOld();
+    }
+
+    // transform(entry, channelId) mutates the entry and returns true when it changed
+    async rewrite(transform) {
+        const rewriteAll = this.db.transaction(() => {
+            let changedCount = 0;
+            for (const row of this.statements.all.all()) {
+                const entry = toEntry(row);
+                if (transform(entry, row.channel_id)) {
+                    this.statements.update.run({ id: row.id, ...toRow(row.channel_id, entry) });
+                    changedCount++;
+                }
+            }
+            return changedCount;
+        });
+        return rewriteAll();
+    }
+
+    async getStats() {
+        const stats = {
+            totalUrls: 0,
+            channelCount: 0,
+            urlsPerChannel: {}
+        };
+
+        for (const row of this.statements.countPerChannel.all()) {
+            stats.totalUrls += row.count;
+            stats.channelCount++;
+            stats.urlsPerChannel[row.channel_id] = row.count;
+        }
+
+        return stats;
+    }
+
+    // One-shot import of a legacy URL_DB_<id>.json file, entries must already carry their keys
+    async importFromJson(jsonFile, prepareEntry = entry => entry) {
+        const urlData = JSON.parse(await fs.readFile(jsonFile, 'utf8'));
+        const importAll = this.db.transaction(() => {
+            let importedCount = 0;
+            for (const [channelId, urls] of Object.entries(urlData)) {
+                importedCount += this.insertMany(channelId, urls.map(prepareEntry));
+            }
+            return importedCount;
+        });
+        return importAll();
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = SqliteBackend;
\ No newline at end of file
@@ -0,0 +1,19 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { registerExtractor, getContentKey, getContentAuthor, getAuthorPlatforms } = require('../../extractors');
+
+test('registry: URLs no extractor recognises have no content key or author', () => {
+    assert.equal(getContentKey('https://example.com/status/1881698703620379051'), null);
+    assert.equal(getContentKey('not a url'), null);
+    assert.equal(getContentAuthor('https://example.com/@someone'), null);
+});
+
+test('registry: lists the platforms with an author extractor', () => {
+    assert.deepEqual(getAuthorPlatforms(), ['medium', 'twitter', 'youtube']);
+});
+
+test('registry: rejects malformed extractors', () => {
+    assert.throws(() => registerExtractor({ name: 'broken', hosts: ['example.com'] }), /extract function/);
+    assert.throws(() => registerExtractor({ name: 'broken', hosts: 'example.com', extract: () => null }), /hosts array/);
+    assert.throws(() => registerExtractor({ name: 'broken', hosts: [], extract: () => null, author: 'x' }), /author as a function/);
+});
\ No newline at end of file
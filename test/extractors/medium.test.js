@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const medium = require('../../extractors/medium');
+const { getContentKey, getContentAuthor } = require('../../extractors');
+
+function extract(url) {
+    return medium.extract(new URL(url));
+}
+
+test('medium: extracts the post id of every URL shape', () => {
+    assert.equal(extract('https://medium.com/@botanix/building-on-bitcoin-1a2b3c4d5e6f'), '1a2b3c4d5e6f');
+    assert.equal(extract('https://botanix.medium.com/building-on-bitcoin-1a2b3c4d5e6f'), '1a2b3c4d5e6f');
+    assert.equal(extract('https://medium.com/p/1a2b3c4d5e6f'), '1a2b3c4d5e6f');
+    assert.equal(extract('https://medium.com/@botanix/building-on-bitcoin-1a2b3c4d5e6f?source=rss'), '1a2b3c4d5e6f');
+});
+
+test('medium: ignores slugs that only end in hex words', () => {
+    assert.equal(extract('https://medium.com/@botanix/why-we-deadbeef'), null);
+    assert.equal(extract('https://medium.com/@botanix/a-decade-facade'), null);
+    assert.equal(extract('https://medium.com/@botanix/release-12345678'), null);
+    assert.equal(extract('https://medium.com/p/deadbeef'), null);
+    assert.equal(extract('https://medium.com/@botanix'), null);
+    assert.equal(extract('https://medium.com/'), null);
+});
+
+test('medium: tells the author from the @name segment or the subdomain', () => {
+    assert.equal(medium.author(new URL('https://medium.com/@botanix/building-on-bitcoin-1a2b3c4d5e6f')), '@botanix');
+    assert.equal(medium.author(new URL('https://botanix.medium.com/building-on-bitcoin-1a2b3c4d5e6f')), 'botanix');
+    assert.equal(medium.author(new URL('https://medium.com/p/1a2b3c4d5e6f')), null);
+});
+
+test('medium: content keys are the same across URL shapes', () => {
+    assert.equal(getContentKey('https://medium.com/p/1a2b3c4d5e6f'), 'medium:1a2b3c4d5e6f');
+    assert.equal(getContentKey('https://medium.com/@botanix/why-we-deadbeef'), null);
+    assert.deepEqual(getContentAuthor('https://Botanix.medium.com/x-1a2b3c4d5e6f'), { platform: 'medium', handle: 'botanix' });
+});
\ No newline at end of file
@@ -0,0 +1,41 @@
+// Tests run on Node's built-in runner: node --test
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const twitter = require('../../extractors/twitter');
+const { getContentKey, getContentAuthor } = require('../../extractors');
+
+function extract(url) {
+    return twitter.extract(new URL(url));
+}
+
+function author(url) {
+    return twitter.author(new URL(url));
+}
+
+test('twitter: extracts the status id of every URL shape', () => {
+    assert.equal(extract('https://x.com/BotanixLabs/status/1881698703620379051'), '1881698703620379051');
+    assert.equal(extract('https://twitter.com/i/web/status/1881698703620379051'), '1881698703620379051');
+    assert.equal(extract('https://x.com/BotanixLabs/status/1881698703620379051/photo/1'), '1881698703620379051');
+    assert.equal(extract('https://mobile.twitter.com/BotanixLabs/statuses/1881698703620379051'), '1881698703620379051');
+});
+
+test('twitter: ignores URLs without a numeric status id', () => {
+    assert.equal(extract('https://x.com/BotanixLabs'), null);
+    assert.equal(extract('https://x.com/BotanixLabs/status/'), null);
+    assert.equal(extract('https://x.com/BotanixLabs/status/latest'), null);
+    assert.equal(extract('https://x.com/search?q=status'), null);
+});
+
+test('twitter: tells the author from the segment before /status/', () => {
+    assert.equal(author('https://x.com/BotanixLabs/status/1881698703620379051'), 'BotanixLabs');
+    assert.equal(author('https://twitter.com/i/web/status/1881698703620379051'), null);
+    assert.equal(author('https://x.com/i/status/1881698703620379051'), null);
+    assert.equal(author('https://x.com/BotanixLabs'), null);
+});
+
+test('twitter: content keys are the same across hosts', () => {
+    assert.equal(getContentKey('https://vxtwitter.com/someone/status/1881698703620379051'), 'twitter:1881698703620379051');
+    assert.equal(getContentKey('https://www.x.com/i/web/status/1881698703620379051'), 'twitter:1881698703620379051');
+    assert.deepEqual(getContentAuthor('https://x.com/@BotanixLabs/status/1'), null);
+    assert.deepEqual(getContentAuthor('https://x.com/BotanixLabs/status/1'), { platform: 'twitter', handle: 'botanixlabs' });
+});
\ No newline at end of file
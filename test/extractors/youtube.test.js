@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const youtube = require('../../extractors/youtube');
+const { getContentKey, getContentAuthor } = require('../../extractors');
+
+function extract(url) {
+    return youtube.extract(new URL(url));
+}
+
+test('youtube: extracts the video id of every URL shape', () => {
+    assert.equal(extract('https://www.youtube.com/watch?v=dQw4w9WgXcQ'), 'dQw4w9WgXcQ');
+    assert.equal(extract('https://youtube.com/shorts/dQw4w9WgXcQ'), 'dQw4w9WgXcQ');
+    assert.equal(extract('https://youtu.be/dQw4w9WgXcQ?si=abc'), 'dQw4w9WgXcQ');
+    assert.equal(extract('https://www.youtube.com/embed/dQw4w9WgXcQ'), 'dQw4w9WgXcQ');
+    assert.equal(extract('https://m.youtube.com/live/dQw4w9WgXcQ?feature=share'), 'dQw4w9WgXcQ');
+});
+
+test('youtube: ignores URLs without a valid video id', () => {
+    assert.equal(extract('https://www.youtube.com/watch'), null);
+    assert.equal(extract('https://www.youtube.com/watch?v=short'), null);
+    assert.equal(extract('https://youtube.com/shorts/'), null);
+    assert.equal(extract('https://www.youtube.com/@botanixlabs'), null);
+    assert.equal(extract('https://www.youtube.com/playlist?list=PL1234567890'), null);
+});
+
+test('youtube: only channel URLs have an author', () => {
+    assert.equal(youtube.author(new URL('https://www.youtube.com/@botanixlabs')), '@botanixlabs');
+    assert.equal(youtube.author(new URL('https://www.youtube.com/watch?v=dQw4w9WgXcQ')), null);
+    assert.equal(youtube.author(new URL('https://www.youtube.com/@')), null);
+});
+
+test('youtube: content keys are the same across URL shapes', () => {
+    assert.equal(getContentKey('https://youtu.be/dQw4w9WgXcQ'), 'youtube:dQw4w9WgXcQ');
+    assert.equal(getContentKey('https://music.youtube.com/watch?v=dQw4w9WgXcQ&list=RD'), 'youtube:dQw4w9WgXcQ');
+    assert.deepEqual(getContentAuthor('https://youtube.com/@BotanixLabs'), { platform: 'youtube', handle: 'botanixlabs' });
+});
\ No newline at end of file
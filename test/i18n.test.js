@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { pluralize, fallbackChain, loadCatalogs } = require('../i18n');
+const { findCatalogProblems } = require('../messageBuilder');
+
+test('pluralize: picks the form of the locale plural category', () => {
+    assert.equal(pluralize(1, 'one=# URL|other=# URLs', 'en'), '1 URL');
+    assert.equal(pluralize(1200, 'one=# URL|other=# URLs', 'en'), '1,200 URLs');
+    assert.equal(pluralize(3, 'one=# файл|few=# файла|many=# файлов|other=# файла', 'ru'), '3 файла');
+    assert.equal(pluralize(5, 'one=# файл|few=# файла|many=# файлов|other=# файла', 'ru'), '5 файлов');
+});
+
+test('pluralize: exact forms take precedence over the category', () => {
+    assert.equal(pluralize(0, '=0=No content|one=# file|other=# files', 'en'), 'No content');
+    assert.equal(pluralize(2, '=0=No content|one=# file|other=# files', 'en'), '2 files');
+    assert.equal(pluralize(1, '=1=A single file|one=# file|other=# files', 'en'), 'A single file');
+});
+
+test('pluralize: falls back to other, then to the bare number', () => {
+    assert.equal(pluralize(1, 'other=# items', 'en'), '1 items');
+    assert.equal(pluralize(7, '', 'en'), '7');
+});
+
+test('fallbackChain: tries the regional locale, then its language, and ends in English', () => {
+    assert.deepEqual(fallbackChain('es-ES').slice(0, 2), ['es-ES', 'es']);
+    assert.equal(fallbackChain('es-ES').at(-1), 'en');
+});
+
+test('catalogs: every locale translates every template text with the same placeholders', () => {
+    const catalogs = loadCatalogs();
+    assert.ok(catalogs.size > 0, 'no catalogs in locales/');
+    for (const [locale, catalog] of catalogs) {
+        assert.deepEqual(findCatalogProblems(catalog), [], `${locale}.json`);
+    }
+});
\ No newline at end of file
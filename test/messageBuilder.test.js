@@ -0,0 +1,25 @@
+// Regenerate the snapshot after changing templates or catalogs: UPDATE_SNAPSHOTS=1 node --test
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { MessageBuilder } = require('../messageBuilder');
+const { renderAll } = require('../scripts/renderTemplates');
+
+const SNAPSHOT_FILE = path.join(__dirname, 'messages.snapshot.json');
+
+test('templates: rendering every locale matches the committed snapshot', () => {
+    // The overrides file doesn't exist, only the defaults and locales/ are rendered
+    const messages = new MessageBuilder(path.join(__dirname, 'no-overrides.json')).load();
+    const rendered = renderAll(messages);
+    if (process.env.UPDATE_SNAPSHOTS) {
+        fs.writeFileSync(SNAPSHOT_FILE, `${JSON.stringify(rendered, null, 2)}\n`);
+    }
+    assert.deepEqual(rendered, JSON.parse(fs.readFileSync(SNAPSHOT_FILE, 'utf8')));
+});
+
+test('templates: a field whose placeholders are missing is left out', () => {
+    const messages = new MessageBuilder(path.join(__dirname, 'no-overrides.json')).load();
+    const embed = messages.render('wrong-thread', { member: '<@1>', threadId: '2', attachments: 0 });
+    assert.deepEqual(embed.fields.map(field => field.value), ['<#2>', 'No content']);
+});
\ No newline at end of file
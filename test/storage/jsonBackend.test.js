@@ -0,0 +1,57 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonBackend = require('../../storage/jsonBackend');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-backend-'));
+
+after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function entry(recordKey, fields = {}) {
+    return { url: `https://example.com/${recordKey}`, recordKey, timestamp: 1, threadId: '100', ...fields };
+}
+
+// The next write fails once, as when the disk is full
+function failNextWrite(backend) {
+    const writeAtomic = backend.writeAtomic;
+    backend.writeAtomic = async () => {
+        backend.writeAtomic = writeAtomic;
+        throw new Error('ENOSPC: no space left on device');
+    };
+}
+
+async function readFile(backend) {
+    return JSON.parse(fs.readFileSync(backend.filePath, 'utf8'));
+}
+
+test('upsert: a record whose first write failed is written by the retry', async () => {
+    const backend = new JsonBackend(path.join(dataDir, 'added.json'));
+    await backend.init();
+
+    failNextWrite(backend);
+    await assert.rejects(backend.upsert('100', [entry('a')]), /ENOSPC/);
+    assert.equal(await backend.findByRecordKey('a'), null);
+    assert.deepEqual(await backend.getChannelIds(), []);
+
+    const result = await backend.upsert('100', [entry('a')]);
+    assert.equal(result.added, 1);
+    assert.deepEqual((await readFile(backend))['100'].map(url => url.recordKey), ['a']);
+});
+
+test('upsert: an update whose first write failed is written by the retry', async () => {
+    const backend = new JsonBackend(path.join(dataDir, 'updated.json'));
+    await backend.init();
+    await backend.upsert('100', [entry('a')]);
+
+    failNextWrite(backend);
+    await assert.rejects(backend.upsert('100', [entry('a', { userId: '1' })]), /ENOSPC/);
+    assert.equal((await backend.findByRecordKey('a')).userId, undefined);
+
+    const result = await backend.upsert('100', [entry('a', { userId: '1' })]);
+    assert.equal(result.updated, 1);
+    assert.equal((await readFile(backend))['100'][0].userId, '1');
+});
\ No newline at end of file
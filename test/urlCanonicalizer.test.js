@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const UrlCanonicalizer = require('../urlCanonicalizer');
+
+const canonicalizer = new UrlCanonicalizer();
+
+function canonicalize(url) {
+    return canonicalizer.canonicalize(url);
+}
+
+test('canonicalize: drops tracking parameters and sorts the others', () => {
+    assert.equal(canonicalize('https://x.com/a/status/1?s=20'), 'https://x.com/a/status/1');
+    assert.equal(canonicalize('https://example.com/post?utm_source=x&UTM_Medium=y&fbclid=1&t=5'), 'https://example.com/post');
+    assert.equal(canonicalize('https://example.com/?z=1&id=5&a=2'), 'https://example.com/?a=2&id=5&z=1');
+});
+
+test('canonicalize: normalizes scheme, host case, www. and mobile hosts', () => {
+    assert.equal(canonicalize('http://www.x.com/a/status/1'), 'https://x.com/a/status/1');
+    assert.equal(canonicalize('https://Example.COM/Path'), 'https://example.com/Path');
+    assert.equal(canonicalize('https://mobile.twitter.com/a/status/1'), 'https://x.com/a/status/1');
+    assert.equal(canonicalize('https://m.youtube.com/watch?v=dQw4w9WgXcQ'), 'https://youtube.com/watch?v=dQw4w9WgXcQ');
+});
+
+test('canonicalize: removes trailing and duplicate slashes, default ports and fragments', () => {
+    assert.equal(canonicalize('http://www.x.com/a/status/1/'), 'https://x.com/a/status/1');
+    assert.equal(canonicalize('http://127.0.0.1:8080//'), canonicalize('http://127.0.0.1:8080/'));
+    assert.equal(canonicalize('https://example.com:443/a//b/#comments'), 'https://example.com/a/b');
+});
+
+test('canonicalize: twitter.com and x.com are the same host', () => {
+    const expected = 'https://x.com/a/status/1';
+    assert.equal(canonicalize('https://x.com/a/status/1'), expected);
+    assert.equal(canonicalize('https://twitter.com/a/status/1?s=20'), expected);
+});
+
+test('canonicalize: youtu.be links expand to watch?v=', () => {
+    const expected = canonicalize('https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+    assert.equal(expected, 'https://youtube.com/watch?v=dQw4w9WgXcQ');
+    assert.equal(canonicalize('https://youtu.be/dQw4w9WgXcQ'), expected);
+    assert.equal(canonicalize('https://youtu.be/dQw4w9WgXcQ?si=abc'), expected);
+});
+
+test('canonicalize: leaves other schemes and unparseable text trimmed but unchanged', () => {
+    assert.equal(canonicalize('mailto:someone@example.com'), 'mailto:someone@example.com');
+    assert.equal(canonicalize('  not a url '), 'not a url');
+});
+
+test('canonicalize: takes extra host aliases and rules', () => {
+    const custom = new UrlCanonicalizer({ hostAliases: { 'fxtwitter.com': 'x.com' } })
+        .addRule(parsed => { parsed.pathname = parsed.pathname.toLowerCase(); });
+    assert.equal(custom.canonicalize('https://fxtwitter.com/BotanixLabs/status/1'), 'https://x.com/botanixlabs/status/1');
+});
\ No newline at end of file
@@ -0,0 +1,45 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// UrlStorage reads DATA_DIR from config.js when it's required
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'url-export-'));
+process.env.DATA_DIR = dataDir;
+const UrlStorage = require('../urlStore');
+const { formatRecords, parseRecords, EXPORT_FORMATS } = require('../urlExport');
+
+// Written before records had a schemaVersion, a userId or a threadId
+const LEGACY_DB = path.join(__dirname, '..', 'URL_DB_1338452316109668393.json');
+
+before(() => {
+    fs.copyFileSync(LEGACY_DB, path.join(dataDir, 'URL_DB_legacy.json'));
+});
+
+after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+for (const format of EXPORT_FORMATS) {
+    test(`export: a legacy registry exported as ${format} imports again`, async () => {
+        const legacy = new UrlStorage({ name: 'legacy' });
+        await legacy.init();
+        const exported = await legacy.exportUrls();
+        await legacy.shutdown();
+        assert.equal(exported.length, 15);
+        assert.ok(exported.every(record => record.userId === null));
+
+        const restored = new UrlStorage({ name: `restored-${format}` });
+        await restored.init();
+        try {
+            const records = parseRecords(formatRecords(exported, format), format);
+            assert.deepEqual(await restored.importUrls(records), { added: 15, updated: 0, unchanged: 0 });
+            assert.deepEqual(await restored.importUrls(records), { added: 0, updated: 0, unchanged: 15 });
+            const reexported = await restored.exportUrls();
+            assert.deepEqual(reexported.map(record => record.url), exported.map(record => record.url));
+        } finally {
+            await restored.shutdown();
+        }
+    });
+}
\ No newline at end of file
@@ -0,0 +1,86 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// UrlStorage reads DATA_DIR from config.js when it's required
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'url-store-'));
+process.env.DATA_DIR = dataDir;
+const UrlStorage = require('../urlStore');
+const { SCHEMA_VERSION } = require('../urlRecord');
+
+const DAY = 24 * 60 * 60 * 1000;
+const THREAD_ID = '100';
+
+after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function record(url, messageId, age) {
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        url,
+        timestamp: Date.now() - age,
+        userId: '1',
+        author: 'member',
+        messageId,
+        messageUrl: null,
+        threadId: THREAD_ID,
+        threadName: 'thread',
+        guildId: null
+    };
+}
+
+async function openStore(name, options) {
+    const urlStore = new UrlStorage({ name, ...options });
+    await urlStore.init();
+    await urlStore.saveUrls(THREAD_ID, [
+        record('https://example.com/new', '1', DAY),
+        record('https://example.com/old', '2', 60 * DAY),
+        record('https://example.com/deleted', '3', 60 * DAY),
+        record('https://example.com/disputed', '4', 60 * DAY)
+    ]);
+    return urlStore;
+}
+
+async function remainingUrls(urlStore) {
+    return (await urlStore.getUrls(THREAD_ID)).map(entry => entry.url).sort();
+}
+
+test('cleanup: a retention of 0 keeps every URL', async () => {
+    const urlStore = await openStore('retention-off', { retention: 0 });
+    await urlStore.cleanup();
+    assert.equal((await remainingUrls(urlStore)).length, 4);
+    await urlStore.shutdown();
+});
+
+test('cleanup: old URLs are deleted except tombstones and disputed records', async () => {
+    const urlStore = await openStore('retention-on', { retention: 30 * DAY, releaseMode: 'tombstone' });
+    await urlStore.releaseMessages(['3']);
+    const disputed = (await urlStore.getUrls(THREAD_ID)).find(entry => entry.messageId === '4');
+
+    await urlStore.cleanup(new Set([disputed.recordKey]));
+    assert.deepEqual(await remainingUrls(urlStore), [
+        'https://example.com/deleted',
+        'https://example.com/disputed',
+        'https://example.com/new'
+    ]);
+    await urlStore.shutdown();
+});
+test('release: backfilled records stored under the forum are found by thread and message', async () => {
+    const urlStore = new UrlStorage({ name: 'backfilled' });
+    await urlStore.init();
+    const FORUM_ID = '200';
+    await urlStore.saveUrls(FORUM_ID, [
+        record('https://example.com/a', '1', DAY),
+        record('https://example.com/b', '2', DAY),
+        { ...record('https://example.com/other', '3', DAY), threadId: '101' }
+    ]);
+
+    assert.deepEqual((await urlStore.getUrlsForMessage('2')).map(entry => entry.url), ['https://example.com/b']);
+    assert.equal(await urlStore.releaseThread(THREAD_ID), 2);
+    assert.deepEqual((await urlStore.getUrls(FORUM_ID)).map(entry => entry.url), ['https://example.com/other']);
+    assert.equal(await urlStore.isDuplicateUrl('https://example.com/a'), false);
+    await urlStore.shutdown();
+});
\ No newline at end of file
@@ -0,0 +1,71 @@
+const { logger, messageContext } = require('./logger');
+
+const log = logger.child({ module: 'threadRelay' });
+
+const RELAY_WEBHOOK_NAME = 'Thread relay';
+const MAX_USERNAME_LENGTH = 80;
+const UNKNOWN_WEBHOOK = 10015; // Discord API error code
+
+// Reposts a message into another thread of the same forum through a webhook carrying the
+// author's name and avatar, so nothing of the post (attachments, embeds, long text) is lost.
+// Needs the Manage Webhooks permission on the forum.
+class ThreadRelay {
+    constructor(client) {
+        this.client = client;
+        this.webhooks = new Map(); // forumId -> Webhook
+    }
+
+    // Reuses the webhook this bot created on the forum in an earlier run
+    async getWebhook(forumChannel) {
+        const cached = this.webhooks.get(forumChannel.id);
+        if (cached) return cached;
+
+        const existing = (await forumChannel.fetchWebhooks())
+            .find(webhook => webhook.owner?.id === this.client.user.id && webhook.name === RELAY_WEBHOOK_NAME && webhook.token);
+        const webhook = existing || await forumChannel.createWebhook({ name: RELAY_WEBHOOK_NAME });
+        this.webhooks.set(forumChannel.id, webhook);
+        return webhook;
+    }
+
+    // Returns the relayed message attributed to the original author (see postedBy), or null
+    // when it could not be reposted and the caller should fall back to a plain removal
+    async relay(message, threadId) {
+        try {
+            const webhook = await this.getWebhook(message.channel.parent);
+            const relayed = await webhook.send({
+                threadId,
+                content: message.content || undefined,
+                username: (message.member?.displayName || message.author.username).substring(0, MAX_USERNAME_LENGTH),
+                avatarURL: (message.member || message.author).displayAvatarURL(),
+                files: [...message.attachments.values()].map(attachment => ({ attachment: attachment.url, name: attachment.name })),
+                // Link previews are regenerated by Discord, only bot-style embeds need copying
+                embeds: message.embeds.filter(embed => embed.data.type === 'rich'),
+                allowedMentions: { parse: [] }
+            });
+            log.info(`Relayed message by ${message.author.tag} to thread ${threadId}`, { ...messageContext(message), relayedMessageId: relayed.id });
+            return postedBy(relayed, message);
+        } catch (error) {
+            // A webhook deleted by hand stays cached until Discord reports it gone
+            if (error.code === UNKNOWN_WEBHOOK || error.status === 404) {
+                this.webhooks.delete(message.channel.parentId);
+            }
+            log.error(`Error relaying message: ${error.message}`, messageContext(message));
+            return null;
+        }
+    }
+}
+
+// The webhook message with author and member of the original post, so duplicate tracking
+// stores and enforces it against the member and not the webhook. Message#member is a getter
+// without a setter, so both are defined on the wrapper rather than assigned.
+function postedBy(relayed, original) {
+    return Object.create(relayed, {
+        author: { value: original.author, enumerable: true },
+        member: { value: original.member ?? null, enumerable: true }
+    });
+}
+
+module.exports = {
+    ThreadRelay,
+    postedBy
+};
\ No newline at end of file
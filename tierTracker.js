@@ -0,0 +1,158 @@
+const fs = require('fs/promises');
+const { logger } = require('./logger');
+const { messages } = require('./messageBuilder');
+const { memberLocales } = require('./i18n');
+const { TIER_CHANGE_NOTIFICATION, TIER_HISTORY_FILE, AUTO_DELETE_TIMER } = require('./config');
+
+const log = logger.child({ module: 'tierTracker' });
+
+// Watches role updates for changes of the routing rule a member falls under, tells the member
+// where to post from now on and, when TIER_HISTORY_FILE is set, appends every change to it
+// as one JSON object per line.
+class TierTracker {
+    constructor(client, routing, options = {}) {
+        this.client = client;
+        this.routing = routing;
+        this.notification = options.notification || TIER_CHANGE_NOTIFICATION;
+        this.historyFile = options.historyFile !== undefined ? options.historyFile : TIER_HISTORY_FILE;
+        this.pendingWrite = Promise.resolve();
+    }
+
+    // Routing forums of the guild, resolved through the channel cache filled at startup
+    getGuildForums(guildId) {
+        return this.routing.getForumIds()
+            .filter(forumId => this.client.channels.cache.get(forumId)?.guildId === guildId)
+            .map(forumId => this.routing.getForum(forumId));
+    }
+
+    // Ignored members have no tier, like at post time
+    getRule(forum, memberRoles) {
+        if (this.routing.isIgnored(forum, memberRoles)) return null;
+        return this.routing.findRule(forum, memberRoles);
+    }
+
+    // [{ forum, from, to }] for every forum where the matching rule differs, from/to may be null
+    findChanges(guildId, oldRoles, newRoles) {
+        const changes = [];
+        for (const forum of this.getGuildForums(guildId)) {
+            const from = this.getRule(forum, oldRoles);
+            const to = this.getRule(forum, newRoles);
+            if (from?.roleId !== to?.roleId) {
+                changes.push({ forum, from, to });
+            }
+        }
+        return changes;
+    }
+
+    async handleMemberUpdate(oldMember, newMember) {
+        // Without the previous roles there is nothing to compare against
+        if (oldMember.partial || newMember.user.bot) return;
+
+        try {
+            const changes = this.findChanges(newMember.guild.id, oldMember.roles.cache, newMember.roles.cache);
+            for (const change of changes) {
+                log.info(`Tier changed in ${change.forum.name}: ${change.from?.roleId || 'none'} -> ${change.to?.roleId || 'none'}`, {
+                    guildId: newMember.guild.id,
+                    userId: newMember.id
+                });
+                await this.recordHistory(newMember, change);
+                if (change.to) {
+                    await this.notify(newMember, change);
+                }
+            }
+        } catch (error) {
+            log.error(`Error handling member update: ${error.message}`, { guildId: newMember.guild.id, userId: newMember.id });
+        }
+    }
+
+    buildNotificationEmbed(member, { forum, from, to }) {
+        return messages.build('tier-change', {
+            member: `${member}`,
+            guildName: member.guild.name,
+            forumName: forum.name,
+            threadId: to.threadId,
+            previousThreadId: from && from.threadId !== to.threadId ? from.threadId : null
+        }, { branding: forum.options.branding, locale: memberLocales.localeFor(member, forum) });
+    }
+
+    // 'dm' falls back to a ping in the new thread when the member doesn't accept DMs
+    async notify(member, change) {
+        if (this.notification === 'off') return;
+        const embed = this.buildNotificationEmbed(member, change);
+
+        if (this.notification === 'dm') {
+            try {
+                await member.send({ embeds: [embed] });
+                return;
+            } catch (error) {
+                log.info(`Could not DM ${member.user.tag}, notifying in thread instead: ${error.message}`);
+            }
+        }
+
+        try {
+            const thread = await this.client.channels.fetch(change.to.threadId);
+            const notice = await thread.send({ content: `${member}`, embeds: [embed] });
+            this.scheduleDelete(notice);
+        } catch (error) {
+            log.error(`Error notifying ${member.user.tag} of tier change: ${error.message}`, { threadId: change.to.threadId });
+        }
+    }
+
+    scheduleDelete(notice) {
+        if (AUTO_DELETE_TIMER <= 0) return;
+        setTimeout(() => {
+            notice.delete().catch(error => log.error(`Error deleting tier notice: ${error.message}`));
+        }, AUTO_DELETE_TIMER);
+    }
+
+    // Appends are chained so concurrent updates never interleave within a line
+    recordHistory(member, { forum, from, to }) {
+        if (!this.historyFile) return Promise.resolve();
+
+        const entry = {
+            timestamp: new Date().toISOString(),
+            userId: member.id,
+            userTag: member.user.tag,
+            guildId: member.guild.id,
+            forumId: forum.forumId,
+            fromRoleId: from?.roleId || null,
+            toRoleId: to?.roleId || null,
+            threadId: to?.threadId || null
+        };
+        this.pendingWrite = this.pendingWrite
+            .then(() => fs.appendFile(this.historyFile, `${JSON.stringify(entry)}\n`))
+            .catch(error => log.error(`Error writing tier history: ${error.message}`));
+        return this.pendingWrite;
+    }
+
+    // Oldest first. Reads the whole file, meant for the occasional moderator lookup.
+    async getHistory(userId) {
+        if (!this.historyFile) return [];
+        await this.pendingWrite;
+
+        let data;
+        try {
+            data = await fs.readFile(this.historyFile, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        return data.split('\n')
+            .filter(Boolean)
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch {
+                    return null;
+                }
+            })
+            .filter(entry => entry && entry.userId === userId);
+    }
+
+    async shutdown() {
+        await this.pendingWrite;
+    }
+}
+
+module.exports = TierTracker;
\ No newline at end of file
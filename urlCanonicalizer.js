@@ -0,0 +1,93 @@
+// Query parameters that only carry tracking/share information (si: YouTube share links)
+const DEFAULT_TRACKING_PARAMS = [/^utm_/i, 's', 't', 'si', 'fbclid'];
+
+// Hosts that serve the same content under a different name
+const DEFAULT_HOST_ALIASES = {
+    'twitter.com': 'x.com',
+    'mobile.twitter.com': 'x.com',
+    'mobile.x.com': 'x.com',
+    'm.youtube.com': 'youtube.com',
+    'music.youtube.com': 'youtube.com'
+};
+
+const DEFAULT_PORTS = new Set(['80', '443']);
+
+class UrlCanonicalizer {
+    constructor(options = {}) {
+        this.trackingParams = options.trackingParams || DEFAULT_TRACKING_PARAMS;
+        this.hostAliases = { ...DEFAULT_HOST_ALIASES, ...(options.hostAliases || {}) };
+        this.rules = [this.expandShortLinks.bind(this), ...(options.rules || [])];
+    }
+
+    // Extra rules receive the parsed URL object and may mutate it in place
+    addRule(rule) {
+        this.rules.push(rule);
+        return this;
+    }
+
+    isTrackingParam(name) {
+        return this.trackingParams.some(param =>
+            param instanceof RegExp ? param.test(name) : param === name.toLowerCase()
+        );
+    }
+
+    expandShortLinks(parsed) {
+        if (parsed.hostname === 'youtu.be') {
+            const videoId = parsed.pathname.split('/').filter(Boolean)[0];
+            if (videoId) {
+                parsed.hostname = 'youtube.com';
+                parsed.pathname = '/watch';
+                parsed.searchParams.set('v', videoId);
+            }
+        }
+    }
+
+    canonicalize(url) {
+        const trimmedUrl = url.trim();
+
+        let parsed;
+        try {
+            parsed = new URL(trimmedUrl);
+        } catch {
+            return trimmedUrl;
+        }
+
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            return trimmedUrl;
+        }
+
+        parsed.protocol = 'https:';
+        parsed.hash = '';
+        parsed.username = '';
+        parsed.password = '';
+
+        if (DEFAULT_PORTS.has(parsed.port)) {
+            parsed.port = '';
+        }
+
+        let hostname = parsed.hostname.toLowerCase().replace(/\.$/, '');
+        if (hostname.startsWith('www.')) {
+            hostname = hostname.slice(4);
+        }
+        parsed.hostname = this.hostAliases[hostname] || hostname;
+
+        for (const rule of this.rules) {
+            rule(parsed);
+        }
+
+        let pathname = parsed.pathname.replace(/\/{2,}/g, '/');
+        if (pathname.length > 1 && pathname.endsWith('/')) {
+            pathname = pathname.replace(/\/+$/, '');
+        }
+        parsed.pathname = pathname || '/';
+
+        const params = [...parsed.searchParams.entries()]
+            .filter(([name]) => !this.isTrackingParam(name))
+            .sort(([a], [b]) => a.localeCompare(b));
+        parsed.search = new URLSearchParams(params).toString();
+
+        return parsed.toString();
+    }
+}
+
+module.exports = UrlCanonicalizer;
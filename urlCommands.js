@@ -0,0 +1,436 @@
+const { SlashCommandBuilder, ChannelType, AttachmentBuilder, InteractionContextType, PermissionFlagsBits } = require('discord.js');
+const { logger } = require('./logger');
+const { messages } = require('./messageBuilder');
+const { buildExportFilter, formatRecords, parseRecords, formatFromFileName, EXPORT_FORMATS } = require('./urlExport');
+const { MODERATOR_ROLE_ID } = require('./config');
+
+const log = logger.child({ module: 'urlCommands' });
+
+const USER_URL_LIMIT = 10;
+const STATS_CHANNEL_LIMIT = 10;
+const FETCH_PROGRESS_INTERVAL = 5000; // Edit the progress reply at most every 5 seconds
+const INTERACTION_EDIT_WINDOW = 14 * 60 * 1000; // Interaction tokens expire after 15 minutes
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024; // Upload limit of servers without boosts
+
+// Hides the moderator commands from members until a server admin grants them otherwise in the
+// integration settings, isModerator still decides who may run them
+const MODERATOR_PERMISSIONS = PermissionFlagsBits.ManageMessages;
+
+function isModerator(member) {
+    return Boolean(MODERATOR_ROLE_ID && member?.roles?.cache?.has(MODERATOR_ROLE_ID));
+}
+
+function formatTimestamp(timestamp) {
+    const seconds = Math.floor(timestamp / 1000);
+    return `<t:${seconds}:f> (<t:${seconds}:R>)`;
+}
+
+function formatPoster(entry) {
+    return entry.userId ? `<@${entry.userId}>` : entry.author;
+}
+
+function formatDispute(dispute) {
+    const last = dispute.history[dispute.history.length - 1];
+    return `${formatTimestamp(new Date(last.timestamp).getTime())}: <@${dispute.claimant.userId}> claimed it, ${dispute.status}`
+        + (dispute.status === 'open' ? '' : ` by <@${last.userId}>`);
+}
+
+// Shared by /urls fetch and the !fetch links text command
+function buildFetchResultEmbed(channelId, progress, notice = {}) {
+    return messages.build('fetch-report', {
+        channelId,
+        urls: progress.urls,
+        threads: progress.threadsTotal,
+        messages: progress.messages,
+        added: progress.added,
+        updated: progress.updated,
+        unchanged: progress.unchanged
+    }, notice);
+}
+
+// The /urls moderator command. Every reply is ephemeral, members without the
+// MODERATOR_ROLE_ID role are turned away before any subcommand runs.
+class UrlCommands {
+    // Lookups, listings, deletes and stats cover every registry used by a forum of the guild
+    // disputes is optional, lookups list the ownership disputes of a URL when given
+    constructor(client, registries, auditLog, disputes = null) {
+        this.client = client;
+        this.registries = registries;
+        this.auditLog = auditLog;
+        this.disputes = disputes;
+        this.handlers = {
+            lookup: interaction => this.handleLookup(interaction),
+            user: interaction => this.handleUser(interaction),
+            delete: interaction => this.handleDelete(interaction),
+            fetch: interaction => this.handleFetch(interaction),
+            stats: interaction => this.handleStats(interaction),
+            export: interaction => this.handleExport(interaction),
+            import: interaction => this.handleImport(interaction)
+        };
+    }
+
+    buildDefinition() {
+        return new SlashCommandBuilder()
+            .setName('urls')
+            .setDescription('Inspect and manage the URL registry')
+            .setContexts(InteractionContextType.Guild)
+            .setDefaultMemberPermissions(MODERATOR_PERMISSIONS)
+            .addSubcommand(subcommand => subcommand
+                .setName('lookup')
+                .setDescription('Show who posted a URL first, where and when')
+                .addStringOption(option => option.setName('url').setDescription('URL to look up').setRequired(true)))
+            .addSubcommand(subcommand => subcommand
+                .setName('user')
+                .setDescription('List the URLs a member has posted')
+                .addUserOption(option => option.setName('member').setDescription('Member to list').setRequired(true)))
+            .addSubcommand(subcommand => subcommand
+                .setName('delete')
+                .setDescription('Remove a URL from the registry')
+                .addStringOption(option => option.setName('url').setDescription('URL to remove').setRequired(true)))
+            .addSubcommand(subcommand => subcommand
+                .setName('fetch')
+                .setDescription('Backfill the URL registry from a channel history')
+                .addChannelOption(option => option
+                    .setName('channel')
+                    .setDescription('Channel or forum to scan')
+                    .addChannelTypes(ChannelType.GuildText, ChannelType.GuildForum, ChannelType.PublicThread)
+                    .setRequired(true))
+                .addBooleanOption(option => option
+                    .setName('reset')
+                    .setDescription('Forget the saved progress and scan the full history again')))
+            .addSubcommand(subcommand => subcommand
+                .setName('stats')
+                .setDescription('Show registry statistics'))
+            .addSubcommand(subcommand => subcommand
+                .setName('export')
+                .setDescription('Download the registry as a file, optionally filtered')
+                .addStringOption(option => option
+                    .setName('format')
+                    .setDescription('File format (default: csv)')
+                    .addChoices(...EXPORT_FORMATS.map(format => ({ name: format, value: format }))))
+                .addChannelOption(option => option
+                    .setName('thread')
+                    .setDescription('Only URLs posted in this thread')
+                    .addChannelTypes(ChannelType.GuildText, ChannelType.PublicThread))
+                .addRoleOption(option => option
+                    .setName('role')
+                    .setDescription('Only URLs posted in the threads this role tier is routed to'))
+                .addUserOption(option => option.setName('member').setDescription('Only URLs posted by this member'))
+                .addStringOption(option => option.setName('from').setDescription('Posted on or after (YYYY-MM-DD)'))
+                .addStringOption(option => option.setName('to').setDescription('Posted on or before (YYYY-MM-DD)'))
+                .addBooleanOption(option => option
+                    .setName('deleted')
+                    .setDescription('Include URLs of deleted messages')))
+            .addSubcommand(subcommand => subcommand
+                .setName('import')
+                .setDescription('Merge an exported file or a registry backup into the registry')
+                .addAttachmentOption(option => option
+                    .setName('file')
+                    .setDescription('CSV, JSON or NDJSON file')
+                    .setRequired(true))
+                .addStringOption(option => option
+                    .setName('registry')
+                    .setDescription('Registry to import into (needed when the server has several)'))
+                .addBooleanOption(option => option
+                    .setName('check')
+                    .setDescription('Only validate the file, write nothing')));
+    }
+
+    // Guild commands show up immediately, global ones can take up to an hour
+    async register(guild) {
+        if (!MODERATOR_ROLE_ID) {
+            log.warn('MODERATOR_ROLE_ID is not set, /urls will refuse every member');
+        }
+        await guild.commands.create(this.buildDefinition().toJSON());
+        log.info(`Registered /urls command in guild ${guild.name}`);
+    }
+
+    async handleInteraction(interaction) {
+        if (!interaction.isChatInputCommand() || interaction.commandName !== 'urls') return;
+
+        try {
+            if (!isModerator(interaction.member)) {
+                log.info(`Refused /urls for ${interaction.user.tag}: not a moderator`, { guildId: interaction.guildId, userId: interaction.user.id });
+                await interaction.reply({ content: 'Only moderators can use this command.', ephemeral: true });
+                return;
+            }
+
+            const subcommand = interaction.options.getSubcommand();
+            log.info(`/urls ${subcommand} used by ${interaction.user.tag}`, { guildId: interaction.guildId, userId: interaction.user.id });
+            await interaction.deferReply({ ephemeral: true });
+            if (subcommand !== 'fetch' && this.registries.forGuild(interaction.guildId).length === 0) {
+                await interaction.editReply('No forum of this server is configured in the routing.');
+                return;
+            }
+            await this.handlers[subcommand](interaction);
+        } catch (error) {
+            log.error(`Error handling /urls command: ${error.message}`);
+            const reply = { content: `An error occurred while processing the command: ${error.message}`, ephemeral: true };
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply(reply).catch(() => {});
+            } else {
+                await interaction.reply(reply).catch(() => {});
+            }
+        }
+    }
+
+    async handleLookup(interaction) {
+        const url = interaction.options.getString('url', true);
+        let entry = null;
+        for (const { urlStore } of this.registries.forGuild(interaction.guildId)) {
+            const found = await urlStore.findUrlHistory(url);
+            if (found && (!entry || found.timestamp < entry.timestamp)) {
+                entry = found;
+            }
+        }
+        if (!entry) {
+            await interaction.editReply(`No record of ${url} in the registry.`);
+            return;
+        }
+
+        const disputes = this.disputes ? this.disputes.getHistory(entry.recordKey) : [];
+        const embed = messages.build('url-lookup', {
+            url: entry.url,
+            originalPoster: formatPoster(entry),
+            threadId: entry.threadId || entry.channelId,
+            postedAt: entry.timestamp,
+            originalMessageUrl: entry.messageUrl,
+            disputes: disputes.map(formatDispute).join('\n')
+        }, this.getNotice(interaction, entry.channelId));
+
+        await interaction.editReply({ embeds: [embed] });
+    }
+
+    async handleUser(interaction) {
+        const user = interaction.options.getUser('member', true);
+        const entries = [];
+        for (const { urlStore } of this.registries.forGuild(interaction.guildId)) {
+            entries.push(...await urlStore.getUrlsByUser(user.id));
+        }
+        entries.sort((a, b) => b.timestamp - a.timestamp);
+        if (entries.length === 0) {
+            await interaction.editReply(`${user} has no URLs in the registry.`);
+            return;
+        }
+
+        const lines = entries.slice(0, USER_URL_LIMIT).map(entry =>
+            `<t:${Math.floor(entry.timestamp / 1000)}:d> <#${entry.threadId || entry.channelId}> ${entry.url}${entry.deletedAt ? ' (deleted)' : ''}`
+        );
+        // Branded like the forum of their latest URL
+        const embed = messages.build('url-user', {
+            memberTag: user.tag,
+            list: lines.join('\n'),
+            shown: lines.length,
+            total: entries.length
+        }, this.getNotice(interaction, entries[0].channelId));
+
+        await interaction.editReply({ embeds: [embed] });
+    }
+
+    async handleDelete(interaction) {
+        const url = interaction.options.getString('url', true);
+        let deleted = false;
+        for (const { urlStore } of this.registries.forGuild(interaction.guildId)) {
+            deleted = await urlStore.deleteUrl(url) || deleted;
+        }
+        if (deleted) {
+            log.info(`URL ${url} deleted by moderator ${interaction.user.tag}`);
+            await this.auditLog.record({
+                type: 'url_deleted',
+                reason: 'Removed with /urls delete',
+                urls: [url],
+                moderatorId: interaction.user.id
+            });
+        }
+        await interaction.editReply(deleted ? `Removed ${url} from the registry.` : `No record of ${url} in the registry.`);
+    }
+
+    // Branding of the forum a channel (the forum or one of its threads) belongs to, in the
+    // moderator's language, see messageBuilder.js
+    getNotice(interaction, channelId) {
+        const { routing } = this.registries;
+        const parentId = this.client.channels.cache.get(channelId)?.parentId;
+        const forum = routing.getForum(channelId) || (parentId ? routing.getForum(parentId) : null);
+        return { branding: forum?.options.branding, locale: interaction.locale };
+    }
+
+    // Large forums take longer than the interaction token lives, so once INTERACTION_EDIT_WINDOW
+    // has passed, progress and the result go to a regular message in the channel the command was
+    // used in, like !fetch links does
+    async handleFetch(interaction) {
+        const channel = interaction.options.getChannel('channel', true);
+        const reset = interaction.options.getBoolean('reset') || false;
+        const startedAt = Date.now();
+        let lastProgressUpdate = 0;
+        let progressMessage = null;
+
+        const registry = this.registries.forChannel(channel);
+        if (!registry) {
+            await interaction.editReply(`<#${channel.id}> is not a configured forum or one of its threads.`);
+            return;
+        }
+
+        const report = async (reply) => {
+            if (!progressMessage && Date.now() - startedAt > INTERACTION_EDIT_WINDOW) {
+                progressMessage = await interaction.channel.send({
+                    content: `Fetching history of <#${channel.id}> for ${interaction.user}...`,
+                    allowedMentions: { parse: [] }
+                });
+                await interaction.editReply(`The fetch takes a while, progress and the result are posted in ${progressMessage.url}`).catch(() => {});
+            }
+            return progressMessage ? progressMessage.edit(reply) : interaction.editReply(reply);
+        };
+
+        await interaction.editReply(`Fetching history of <#${channel.id}>...`);
+        let progress;
+        try {
+            progress = await registry.urlTracker.backfillChannel(channel.id, {
+                reset,
+                onProgress: async (current) => {
+                    if (Date.now() - lastProgressUpdate < FETCH_PROGRESS_INTERVAL) return;
+                    lastProgressUpdate = Date.now();
+                    await report(
+                        `Fetching history of <#${channel.id}>: ${current.threadsDone}/${current.threadsTotal} threads, ` +
+                        `${current.messages} messages, ${current.urls} URLs`
+                    ).catch(() => {});
+                }
+            });
+        } catch (error) {
+            // The reply may have expired, handleInteraction can't report it anymore
+            if (progressMessage) {
+                await progressMessage.edit(`An error occurred while fetching URLs: ${error.message}`).catch(() => {});
+            }
+            throw error;
+        }
+
+        if (progress.urls === 0) {
+            await report('No new URLs found in this channel.');
+            return;
+        }
+
+        await report({ content: '', embeds: [buildFetchResultEmbed(channel.id, progress, this.getNotice(interaction, channel.id))] });
+        log.info(`Fetched ${progress.urls} URLs: ${progress.added} added, ${progress.updated} updated`, { channelId: channel.id });
+    }
+
+    // One embed per registry, Discord allows up to 10 per message. Each is branded like the
+    // first forum using the registry.
+    async handleStats(interaction) {
+        const { routing } = this.registries;
+        const embeds = [];
+        for (const { name, urlStore } of this.registries.forGuild(interaction.guildId).slice(0, 10)) {
+            const stats = await urlStore.getStats();
+            const topChannels = Object.entries(stats.urlsPerChannel)
+                .sort(([, a], [, b]) => b - a)
+                .slice(0, STATS_CHANNEL_LIMIT)
+                .map(([channelId, count]) => `<#${channelId}>: ${count}`);
+            const forumId = routing.getForumIds().find(id => routing.getForum(id).registry === name);
+
+            embeds.push(messages.build('url-stats', {
+                registry: name,
+                total: stats.totalUrls,
+                channels: stats.channelCount,
+                backend: urlStore.backendType,
+                list: topChannels.join('\n')
+            }, this.getNotice(interaction, forumId)));
+        }
+
+        await interaction.editReply({ embeds });
+    }
+
+    // Records of every registry of the guild, oldest first
+    async handleExport(interaction) {
+        const format = interaction.options.getString('format') || 'csv';
+        const filter = buildExportFilter({
+            threadId: interaction.options.getChannel('thread')?.id,
+            roleId: interaction.options.getRole('role')?.id,
+            userId: interaction.options.getUser('member')?.id,
+            from: interaction.options.getString('from'),
+            to: interaction.options.getString('to'),
+            includeDeleted: interaction.options.getBoolean('deleted')
+        }, this.registries.routing);
+
+        const records = [];
+        for (const { urlStore } of this.registries.forGuild(interaction.guildId)) {
+            records.push(...await urlStore.exportUrls(filter));
+        }
+        if (records.length === 0) {
+            await interaction.editReply('No URLs in the registry match these filters.');
+            return;
+        }
+        records.sort((a, b) => a.timestamp - b.timestamp);
+
+        const output = Buffer.from(formatRecords(records, format));
+        if (output.length > MAX_ATTACHMENT_SIZE) {
+            await interaction.editReply(`The export is ${Math.ceil(output.length / 1024 / 1024)} MB, too large to upload. Narrow the filters or use scripts/exportUrls.js.`);
+            return;
+        }
+
+        const fileName = `urls-${new Date().toISOString().slice(0, 10)}.${format}`;
+        await interaction.editReply({
+            content: `Exported ${records.length} URL records.`,
+            files: [new AttachmentBuilder(output, { name: fileName })]
+        });
+        log.info(`Exported ${records.length} URL records for ${interaction.user.tag}`, { guildId: interaction.guildId });
+    }
+
+    // The file is checked as a whole first, nothing is imported when one record is invalid
+    async handleImport(interaction) {
+        const file = interaction.options.getAttachment('file', true);
+        const checkOnly = interaction.options.getBoolean('check') || false;
+        const guildRegistries = this.registries.forGuild(interaction.guildId);
+        const registryName = interaction.options.getString('registry');
+
+        const registry = registryName
+            ? guildRegistries.find(({ name }) => name === registryName)
+            : guildRegistries.length === 1 ? guildRegistries[0] : null;
+        if (!registry) {
+            await interaction.editReply(`Pick a registry: ${guildRegistries.map(({ name }) => name).join(', ')}`);
+            return;
+        }
+
+        const format = formatFromFileName(file.name);
+        if (!format) {
+            await interaction.editReply(`${file.name} is not a ${EXPORT_FORMATS.join(', ')} file.`);
+            return;
+        }
+        if (file.size > MAX_ATTACHMENT_SIZE) {
+            await interaction.editReply(`${file.name} is too large, use scripts/importUrls.js.`);
+            return;
+        }
+
+        const response = await fetch(file.url);
+        if (!response.ok) {
+            throw new Error(`Could not download ${file.name}: HTTP ${response.status}`);
+        }
+
+        let records;
+        let result;
+        try {
+            records = parseRecords(await response.text(), format);
+            if (checkOnly) {
+                registry.urlStore.prepareImport(records);
+                await interaction.editReply(`All ${records.length} records in ${file.name} are valid, nothing was written.`);
+                return;
+            }
+            result = await registry.urlStore.importUrls(records);
+        } catch (error) {
+            await interaction.editReply(`${file.name} was not imported:\n\`\`\`\n${error.message.substring(0, 1800)}\n\`\`\``);
+            return;
+        }
+
+        const summary = `${result.added} added, ${result.updated} updated, ${result.unchanged} unchanged`;
+        await this.auditLog.record({
+            type: 'urls_imported',
+            reason: `Imported ${file.name} into registry ${registry.name}: ${summary}`,
+            moderatorId: interaction.user.id
+        });
+        await interaction.editReply(`Imported ${records.length} records from ${file.name} into ${registry.name}: ${summary}.`);
+    }
+}
+
+module.exports = {
+    UrlCommands,
+    buildFetchResultEmbed,
+    isModerator,
+    MODERATOR_PERMISSIONS
+};
\ No newline at end of file
@@ -0,0 +1,217 @@
+// Reads and writes URL records (see urlRecord.js) as CSV, JSON or NDJSON, for /urls export and
+// import and scripts/exportUrls.js / scripts/importUrls.js. Exported records also carry the
+// storage channelId and postedAt, the timestamp as an ISO date for spreadsheets.
+const EXPORT_FORMATS = ['csv', 'json', 'ndjson'];
+
+// Column order of CSV exports
+const EXPORT_FIELDS = [
+    'channelId', 'url', 'postedAt', 'timestamp', 'userId', 'author', 'threadId', 'threadName',
+    'guildId', 'messageId', 'messageUrl', 'canonicalUrl', 'contentKey', 'recordKey', 'deletedAt',
+    'schemaVersion'
+];
+// What an import keeps, UrlStorage fills in canonicalUrl, contentKey and recordKey again
+const IMPORT_FIELDS = [
+    'channelId', 'url', 'timestamp', 'userId', 'author', 'threadId', 'threadName', 'guildId',
+    'messageId', 'messageUrl', 'deletedAt', 'schemaVersion'
+];
+const NUMBER_FIELDS = ['timestamp', 'deletedAt', 'schemaVersion'];
+const DAY = 24 * 60 * 60 * 1000;
+
+// Accepts an ISO date ('2025-02-01', '2025-02-01T12:00:00Z') or milliseconds, returns
+// milliseconds or throws
+function parseDate(value) {
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`"${value}" is not a date, use YYYY-MM-DD or an ISO timestamp`);
+    }
+    return time;
+}
+
+// Turns export options into a UrlStorage.exportUrls filter. roleId selects the threads the
+// role is routed to (see RoutingConfig.getRoleThreadIds). A date-only to includes that day.
+function buildExportFilter({ threadId, roleId, userId, from, to, includeDeleted }, routing) {
+    let threadIds = threadId ? [threadId] : null;
+    if (roleId) {
+        const roleThreadIds = routing.getRoleThreadIds(roleId);
+        if (roleThreadIds.length === 0) {
+            throw new Error(`Role ${roleId} is not routed to any thread`);
+        }
+        threadIds = threadIds ? threadIds.filter(id => roleThreadIds.includes(id)) : roleThreadIds;
+    }
+
+    const filter = {
+        threadIds,
+        userId: userId || null,
+        from: from ? parseDate(from) : null,
+        to: to ? parseDate(to) + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? DAY : 0) : null,
+        includeDeleted: Boolean(includeDeleted)
+    };
+    if (filter.from !== null && filter.to !== null && filter.from >= filter.to) {
+        throw new Error('The start date must be before the end date');
+    }
+    return filter;
+}
+
+function toExportRecord(record) {
+    return {
+        ...record,
+        postedAt: Number.isFinite(record.timestamp) ? new Date(record.timestamp).toISOString() : null
+    };
+}
+
+function escapeCsv(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// records: [{ channelId, ...record }] as returned by UrlStorage.exportUrls
+function formatRecords(records, format) {
+    const exported = records.map(toExportRecord);
+    switch (format) {
+        case 'json':
+            return `${JSON.stringify(exported, null, 2)}\n`;
+        case 'ndjson':
+            return exported.map(record => `${JSON.stringify(record)}\n`).join('');
+        case 'csv':
+            return [EXPORT_FIELDS, ...exported.map(record => EXPORT_FIELDS.map(field => record[field]))]
+                .map(row => `${row.map(escapeCsv).join(',')}\r\n`)
+                .join('');
+        default:
+            throw new Error(`Unknown export format ${format} (${EXPORT_FORMATS.join(', ')})`);
+    }
+}
+
+// RFC 4180: quoted values may contain commas, quotes ("") and line breaks
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+    if (quoted) {
+        throw new Error('CSV ends inside a quoted value');
+    }
+    if (value !== '' || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell !== ''));
+}
+
+function parseCsv(text) {
+    const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+    if (!header || !header.includes('url')) {
+        throw new Error('CSV has no header row with a url column');
+    }
+    return rows.map(cells => {
+        const record = {};
+        header.forEach((field, index) => {
+            const cell = cells[index] ?? '';
+            record[field.trim()] = cell === '' ? null : cell;
+        });
+        for (const field of NUMBER_FIELDS) {
+            if (record[field] !== null && record[field] !== undefined) {
+                record[field] = Number(record[field]);
+            }
+        }
+        return record;
+    });
+}
+
+function parseNdjson(text) {
+    return text.split(/\r?\n/)
+        .map((line, index) => ({ line: line.trim(), lineNumber: index + 1 }))
+        .filter(({ line }) => line !== '')
+        .map(({ line, lineNumber }) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Line ${lineNumber} is not valid JSON: ${error.message}`);
+            }
+        });
+}
+
+// JSON is an export (an array of records) or a URL_DB_<name>.json storage file or backup
+// ({ channelId: [records] }), whose records may still need migrating (see migrations.js)
+function parseJson(text) {
+    const data = JSON.parse(text);
+    if (Array.isArray(data)) return data;
+    if (!data || typeof data !== 'object' || !Object.values(data).every(Array.isArray)) {
+        throw new Error('JSON must be an array of records or a URL storage file');
+    }
+    return Object.entries(data).flatMap(([channelId, records]) => records.map(record => ({ ...record, channelId })));
+}
+
+// Returns the records in the text, with only the fields an import keeps. Records without a
+// schemaVersion are left without one so they get migrated.
+function parseRecords(text, format) {
+    let records;
+    switch (format) {
+        case 'json':
+            records = parseJson(text);
+            break;
+        case 'ndjson':
+            records = parseNdjson(text);
+            break;
+        case 'csv':
+            records = parseCsv(text);
+            break;
+        default:
+            throw new Error(`Unknown import format ${format} (${EXPORT_FORMATS.join(', ')})`);
+    }
+
+    return records.map((record, index) => {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            throw new Error(`Record ${index + 1} is not an object`);
+        }
+        const kept = {};
+        for (const field of IMPORT_FIELDS) {
+            if (record[field] !== undefined) kept[field] = record[field];
+        }
+        // Pre-versioning records filed the poster as authorId
+        if (record.authorId !== undefined && !record.schemaVersion) kept.authorId = record.authorId;
+        return kept;
+    });
+}
+
+// 'urls.csv' -> 'csv'
+function formatFromFileName(fileName) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    return EXPORT_FORMATS.includes(extension) ? extension : null;
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    parseDate,
+    buildExportFilter,
+    formatRecords,
+    parseRecords,
+    formatFromFileName
+};
\ No newline at end of file
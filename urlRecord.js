@@ -0,0 +1,71 @@
+// Every stored URL is one record of this shape:
+// {
+//   schemaVersion, url, timestamp,
+//   userId,       // Discord user ID of the poster, the identity used for ownership checks
+//   author,       // user tag at posting time, display only
+//   messageId, messageUrl, threadId, threadName, guildId,
+//   canonicalUrl, contentKey, recordKey, // filled in by UrlStorage
+//   deletedAt     // optional, set when the message was deleted and URL_RELEASE_MODE is 'tombstone'
+// }
+// userId is only null on records migrated from files that never stored it.
+const SCHEMA_VERSION = 2;
+
+const NULLABLE_STRING_FIELDS = ['author', 'messageId', 'messageUrl', 'threadName', 'guildId'];
+
+function buildMessageUrl(guildId, channelId, messageId) {
+    if (!guildId || !channelId || !messageId) return null;
+    return `https://discord.com/channels/${guildId}/${channelId}/${messageId}`;
+}
+
+function createUrlRecord(message, url, threadName = message.channel.name) {
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        url,
+        timestamp: message.createdTimestamp,
+        userId: message.author.id,
+        author: message.author.tag,
+        messageId: message.id,
+        messageUrl: buildMessageUrl(message.guild.id, message.channel.id, message.id),
+        threadId: message.channel.id,
+        threadName,
+        guildId: message.guild.id
+    };
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.length > 0;
+}
+
+// Throws when a record about to be written doesn't match the current schema
+function validateUrlRecord(record) {
+    const problems = [];
+    if (record.schemaVersion !== SCHEMA_VERSION) {
+        problems.push(`schemaVersion must be ${SCHEMA_VERSION}`);
+    }
+    if (!isNonEmptyString(record.url)) problems.push('url is required');
+    if (!Number.isFinite(record.timestamp)) problems.push('timestamp must be a number');
+    if (record.userId !== null && !isNonEmptyString(record.userId)) {
+        problems.push('userId must be a user ID or null');
+    }
+    if (!isNonEmptyString(record.threadId)) problems.push('threadId is required');
+    if (record.deletedAt !== undefined && record.deletedAt !== null && !Number.isFinite(record.deletedAt)) {
+        problems.push('deletedAt must be a number or null');
+    }
+    for (const field of NULLABLE_STRING_FIELDS) {
+        if (record[field] !== null && record[field] !== undefined && typeof record[field] !== 'string') {
+            problems.push(`${field} must be a string or null`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid URL record for ${record.url}: ${problems.join(', ')}`);
+    }
+    return record;
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    buildMessageUrl,
+    createUrlRecord,
+    validateUrlRecord
+};
\ No newline at end of file
@@ -0,0 +1,88 @@
+const UrlStorage = require('./urlStore');
+const UrlTracker = require('./urlTracker');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'urlRegistries' });
+
+// One UrlStorage + UrlTracker per registry name in the routing config. Forums that name the
+// same registry share it, and with it duplicate detection.
+class UrlRegistries {
+    // services ({ disputes, handleLinks }) are passed on to every UrlTracker
+    constructor(client, routing, auditLog, services = {}) {
+        this.client = client;
+        this.routing = routing;
+        this.auditLog = auditLog;
+        this.services = services;
+        this.registries = new Map(); // name -> { name, urlStore, urlTracker }
+    }
+
+    // Opens every registry the routing names that isn't open yet, called at startup and after
+    // a routing reload. Registries no forum uses anymore stay open until the next restart.
+    // A registry that fails to open (unreadable store, missing backend) doesn't stop the others,
+    // its forums have no registry until a later sync opens it. Returns the names that failed.
+    async sync() {
+        const failed = [];
+        for (const name of this.routing.getRegistryNames()) {
+            if (this.registries.has(name)) continue;
+
+            try {
+                const urlStore = new UrlStorage({ name });
+                const urlTracker = new UrlTracker(this.client, urlStore, this.auditLog, this.services);
+                await urlStore.init();
+                await urlTracker.init();
+                this.registries.set(name, { name, urlStore, urlTracker });
+                log.info(`Opened URL registry ${name}`, { registry: name });
+            } catch (error) {
+                log.error(`Failed to open URL registry ${name}: ${error.message}`, { registry: name });
+                failed.push(name);
+            }
+        }
+        return failed;
+    }
+
+    get(name) {
+        return this.registries.get(name) || null;
+    }
+
+    all() {
+        return [...this.registries.values()];
+    }
+
+    forForum(forumId) {
+        const forum = this.routing.getForum(forumId);
+        return forum ? this.get(forum.registry) : null;
+    }
+
+    // A configured forum or one of its threads
+    forChannel(channel) {
+        return this.forForum(channel.id) || (channel.parentId ? this.forForum(channel.parentId) : null);
+    }
+
+    // Registries used by the configured forums of a guild
+    forGuild(guildId) {
+        const names = new Set();
+        for (const forumId of this.routing.getForumIds()) {
+            const forumChannel = this.client.channels.cache.get(forumId);
+            if (forumChannel && forumChannel.guildId === guildId) {
+                names.add(this.routing.getForum(forumId).registry);
+            }
+        }
+        return [...names].map(name => this.get(name)).filter(Boolean);
+    }
+
+    async cleanup() {
+        const { disputes } = this.services;
+        for (const { name, urlStore } of this.registries.values()) {
+            await urlStore.cleanup(disputes ? disputes.getDisputedRecordKeys(name) : new Set());
+        }
+    }
+
+    async shutdown() {
+        for (const { urlStore, urlTracker } of this.registries.values()) {
+            await urlTracker.shutdown();
+            await urlStore.shutdown();
+        }
+    }
+}
+
+module.exports = UrlRegistries;
\ No newline at end of file
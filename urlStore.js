@@ -1,136 +1,203 @@
-const fs = require('fs/promises');
-const path = require('path');
-const { logWithTimestamp } = require('./utils');
-
-class UrlStorage {
-    constructor() {
-        this.urls = new Map();
-        this.storageFile = '';
+const EventEmitter = require('events');
+const { logger } = require('./logger');
+const UrlCanonicalizer = require('./urlCanonicalizer');
+const { getContentKey } = require('./extractors');
+const { createStorageBackend, moveLegacyStorage } = require('./storage');
+const { URL_STORE_BACKEND, URL_RELEASE_MODE, URL_RETENTION } = require('./config');
+const { SCHEMA_VERSION, validateUrlRecord } = require('./urlRecord');
+const { migrateRecord } = require('./migrations');
+const { storeWriteDuration } = require('./metrics');
+
+const log = logger.child({ module: 'urlStore' });
+
+// One URL registry, stored as DATA_DIR/URL_DB_<name>. Defaults to MAIN_CHANNEL_ID for single-forum setups.
+// Emits 'urlAdded' (entry, channelId), 'urlDeleted' (entry), 'urlReleased' (entry),
+// 'ownershipTransferred' (entry, previousEntry) and 'cleanedUp' ({ removedCount, cutoff })
+class UrlStorage extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.name = options.name || process.env.MAIN_CHANNEL_ID;
+        this.backend = null;
+        this.backendType = options.backend || URL_STORE_BACKEND;
+        this.releaseMode = options.releaseMode || URL_RELEASE_MODE;
+        this.retention = options.retention ?? URL_RETENTION; // Milliseconds, 0 keeps URLs forever
         this.isInitialized = false;
+        this.lastWriteAt = null; // Last successful saveUrls, reported by /healthz
+        this.canonicalizer = options.canonicalizer || new UrlCanonicalizer();
+    }
+
+    canonicalize(url) {
+        return this.canonicalizer.canonicalize(url);
+    }
+
+    getUrlKeys(url) {
+        const canonicalUrl = this.canonicalize(url);
+        return {
+            canonicalUrl,
+            contentKey: getContentKey(canonicalUrl)
+        };
+    }
+
+    // One record per (canonical URL, message). Entries saved before message IDs were
+    // tracked fall back to poster and post time.
+    getRecordKey(entry) {
+        const postId = entry.messageId
+            || `${entry.userId || entry.author || 'unknown'}@${entry.timestamp}`;
+        return `${entry.canonicalUrl}|${postId}`;
+    }
+
+    // Fills in the canonical form, content key and record key, used for new entries and imports
+    withUrlKeys(entry) {
+        const keyedEntry = {
+            ...entry,
+            url: entry.url.trim(),
+            ...this.getUrlKeys(entry.url)
+        };
+        keyedEntry.recordKey = this.getRecordKey(keyedEntry);
+        return keyedEntry;
+    }
+
+    // Upgrades records written by older versions to the current schema (see migrations.js)
+    async runMigrations() {
+        const migratedCount = await this.backend.rewrite((entry, channelId) => migrateRecord(entry, channelId));
+        if (migratedCount > 0) {
+            log.info(`Migrated ${migratedCount} URL entries to schema version ${SCHEMA_VERSION}`);
+        }
+    }
+
+    // Older DB files only stored the raw URL, add the canonical form and keys to every entry
+    async migrateUrlKeys() {
+        const migratedCount = await this.backend.rewrite(entry => {
+            const { canonicalUrl, contentKey } = this.getUrlKeys(entry.url);
+            const recordKey = this.getRecordKey({ ...entry, canonicalUrl });
+            if (entry.canonicalUrl === canonicalUrl && entry.contentKey === contentKey
+                && entry.recordKey === recordKey) {
+                return false;
+            }
+            entry.canonicalUrl = canonicalUrl;
+            entry.contentKey = contentKey;
+            entry.recordKey = recordKey;
+            return true;
+        });
+
+        if (migratedCount > 0) {
+            log.info(`Migrated ${migratedCount} URL entries to canonical form`);
+        }
     }
 
     async init() {
         try {
-            const mainChannelId = process.env.MAIN_CHANNEL_ID;
-            if (!mainChannelId) {
-                throw new Error('MAIN_CHANNEL_ID environment variable is not set');
+            if (!this.name) {
+                throw new Error('No registry name given and MAIN_CHANNEL_ID environment variable is not set');
             }
 
-            this.storageFile = path.join(__dirname, `URL_DB_${mainChannelId}.json`);
-            
-            const data = await fs.readFile(this.storageFile, 'utf8').catch(() => '{}');
-            const urlData = JSON.parse(data);
-            
-            for (const [channelId, urls] of Object.entries(urlData)) {
-                this.urls.set(channelId, urls);
-            }
+            await moveLegacyStorage(this.name, this.backendType);
+            this.backend = createStorageBackend(this.backendType, this.name);
+            await this.backend.init();
+
+            await this.runMigrations();
+            await this.migrateUrlKeys();
             
             this.isInitialized = true;
-            logWithTimestamp('URL storage initialized', 'STARTUP');
+            log.info('URL storage initialized', { registry: this.name });
         } catch (error) {
-            logWithTimestamp(`Error initializing URL storage: ${error.message}`, 'ERROR');
-            this.urls = new Map();
+            log.error(`Error initializing URL storage: ${error.message}`);
             this.isInitialized = false;
+            throw error;
         }
     }
 
     // Helper method to check for duplicates across all channels
-    isDuplicateUrl(url) {
-        for (const urls of this.urls.values()) {
-            if (urls.some(entry => entry.url.trim() === url.trim())) {
-                return true;
-            }
-        }
-        return false;
+    async isDuplicateUrl(url) {
+        return (await this.backend.findFirst(this.getUrlKeys(url))) !== null;
     }
 
     async findUrlHistory(url) {
         if (!this.isInitialized) {
-            logWithTimestamp('URL storage not initialized', 'ERROR');
+            log.error('URL storage not initialized');
             return null;
         }
 
-        const trimmedUrl = url.trim();
-        for (const [channelId, urls] of this.urls.entries()) {
-            const foundUrl = urls.find(entry => entry.url.trim() === trimmedUrl);
-            if (foundUrl) {
-                logWithTimestamp(`URL history found for: ${url} in channel ${channelId}`, 'INFO');
-                return {
-                    ...foundUrl,
-                    channelId
-                };
-            }
+        const foundUrl = await this.backend.findFirst(this.getUrlKeys(url));
+        if (foundUrl) {
+            log.debug(`URL history found for: ${url}`, { channelId: foundUrl.channelId, userId: foundUrl.userId });
+            return foundUrl;
         }
 
-        logWithTimestamp(`No URL history found for: ${url}`, 'INFO');
+        log.debug(`No URL history found for: ${url}`);
         return null;
     }
 
+    // Upserts on (canonical URL, message), so saving the same message twice never duplicates it.
+    // Records that don't match the schema in urlRecord.js are logged and skipped. A failed
+    // write throws so callers can retry it (see the save_urls job in notificator.js).
     async saveUrls(channelId, newUrls) {
+    const emptyResult = { added: 0, updated: 0, unchanged: 0 };
     if (!this.isInitialized) {
-        logWithTimestamp('URL storage not initialized', 'ERROR');
-        return 0;
+        log.error('URL storage not initialized');
+        return emptyResult;
     }
 
     try {
-        const existingUrls = this.urls.get(channelId) || [];
-        const updatedUrls = [...existingUrls];
-        let addedCount = 0;
-
+        const entries = [];
         for (const newUrl of newUrls) {
-            updatedUrls.push({
-                ...newUrl,
-                url: newUrl.url.trim(),
-                messageUrl: newUrl.messageUrl,
-                userId: newUrl.userId,
-                messageId: newUrl.messageId
-            });
-            logWithTimestamp(`Added URL: ${newUrl.url}`, 'INFO');
-            addedCount++;
-        }
-
-        if (addedCount > 0) {
-            updatedUrls.sort((a, b) => b.timestamp - a.timestamp);
-            this.urls.set(channelId, updatedUrls);
-            
-            const urlData = Object.fromEntries(this.urls);
-            await fs.writeFile(this.storageFile, JSON.stringify(urlData, null, 2));
-            
-            logWithTimestamp(`Saved ${addedCount} URLs for channel ${channelId}`, 'INFO');
+            try {
+                entries.push(validateUrlRecord(this.withUrlKeys(newUrl)));
+            } catch (error) {
+                log.error(error.message, { channelId, messageId: newUrl.messageId });
+            }
+        }
+        if (entries.length === 0) return emptyResult;
+
+        const { addedEntries, ...result } = await storeWriteDuration.time(
+            { registry: this.name },
+            () => this.backend.upsert(channelId, entries)
+        );
+        this.lastWriteAt = Date.now();
+
+        addedEntries.forEach(entry => {
+            log.debug(`Added URL: ${entry.url}`, { channelId, userId: entry.userId, messageId: entry.messageId });
+            this.emit('urlAdded', entry, channelId);
+        });
+        if (result.added > 0 || result.updated > 0) {
+            log.info(`Saved URLs: ${result.added} added, ${result.updated} updated, ${result.unchanged} unchanged`, { channelId });
         }
         
-        return addedCount;
+        return result;
     } catch (error) {
-        logWithTimestamp(`Error saving URLs: ${error.message}`, 'ERROR');
-        return 0;
+        log.error(`Error saving URLs: ${error.message}`, { channelId });
+        throw error;
     }
 }
 
     async addUrl(url, userId, channelId, threadId = null, messageId, author = 'Unknown') {
         if (!this.isInitialized) {
-            logWithTimestamp('URL storage not initialized', 'ERROR');
+            log.error('URL storage not initialized');
             return null;
         }
 
         const trimmedUrl = url.trim();
-        if (this.isDuplicateUrl(trimmedUrl)) {
-            logWithTimestamp(`Skipped duplicate URL: ${trimmedUrl}`, 'INFO');
+        if (await this.isDuplicateUrl(trimmedUrl)) {
+            log.debug(`Skipped duplicate URL: ${trimmedUrl}`, { channelId, userId });
             return null;
         }
 
         const urlEntry = {
+            schemaVersion: SCHEMA_VERSION,
             url: trimmedUrl,
+            timestamp: Date.now(),
             userId,
-            channelId,
-            threadId,
-            messageId,
             author,
-            timestamp: Date.now()
+            messageId: messageId || null,
+            messageUrl: null,
+            threadId: threadId || channelId,
+            threadName: null,
+            guildId: null
         };
 
-        const addedCount = await this.saveUrls(channelId, [urlEntry]);
-        if (addedCount > 0) {
-            logWithTimestamp(`Added URL: ${trimmedUrl} by ${author}`, 'INFO');
+        const { added } = await this.saveUrls(channelId, [urlEntry]);
+        if (added > 0) {
+            log.debug(`Added URL: ${trimmedUrl} by ${author}`, { channelId, userId, messageId });
             return urlEntry;
         }
         return null;
@@ -138,85 +205,269 @@ class UrlStorage {
 
     async deleteUrl(url) {
         if (!this.isInitialized) {
-            logWithTimestamp('URL storage not initialized', 'ERROR');
+            log.error('URL storage not initialized');
             return false;
         }
 
-        let deleted = false;
-        for (const [channelId, urls] of this.urls.entries()) {
-            const index = urls.findIndex(entry => entry.url.trim() === url.trim());
-            if (index !== -1) {
-                urls.splice(index, 1);
-                const urlData = Object.fromEntries(this.urls);
-                await fs.writeFile(this.storageFile, JSON.stringify(urlData, null, 2));
-                deleted = true;
-                logWithTimestamp(`Deleted URL: ${url}`, 'INFO');
-                break;
-            }
+        const deletedEntry = await this.backend.deleteFirst(this.getUrlKeys(url));
+        if (deletedEntry) {
+            log.info(`Deleted URL: ${url}`, { channelId: deletedEntry.channelId, userId: deletedEntry.userId });
+            this.emit('urlDeleted', deletedEntry);
         }
 
-        return deleted;
+        return deletedEntry !== null;
     }
 
-    getUrls(channelId) {
+    // Hands a record to another member (see disputes.js). The record key stays the same, so the
+    // entry is updated in place. Returns { previous, entry }, or null when the record is gone or
+    // was released.
+    async transferOwnership(recordKey, { userId, author }) {
         if (!this.isInitialized) {
-            logWithTimestamp('URL storage not initialized', 'ERROR');
+            log.error('URL storage not initialized');
+            return null;
+        }
+
+        const found = await this.backend.findByRecordKey(recordKey);
+        if (!found || found.deletedAt) return null;
+
+        const { channelId, ...previous } = found;
+        const entry = validateUrlRecord({ ...previous, userId, author });
+        await storeWriteDuration.time({ registry: this.name }, () => this.backend.upsert(channelId, [entry]));
+        this.lastWriteAt = Date.now();
+
+        log.info(`Transferred ${entry.url} from ${previous.author || previous.userId} to ${author}`, { channelId, userId });
+        this.emit('ownershipTransferred', entry, previous);
+        return { previous, entry };
+    }
+
+    // Frees the URLs of deleted messages, threads or edited-out links (see URL_RELEASE_MODE).
+    // selector: { threadId, messageIds, recordKeys }, returns the number of entries released.
+    // Entries are matched on their threadId and messageId, not the channel they are stored
+    // under, which is the forum for backfilled ones.
+    async release(selector) {
+        if (!this.isInitialized) {
+            log.error('URL storage not initialized');
+            return 0;
+        }
+
+        const deletedAt = this.releaseMode === 'tombstone' ? Date.now() : null;
+        const released = await this.backend.release(selector, deletedAt);
+        released.forEach(entry => {
+            log.debug(`Released URL: ${entry.url}`, { channelId: entry.channelId, messageId: entry.messageId });
+            this.emit('urlReleased', entry);
+        });
+        if (released.length > 0) {
+            log.info(`${this.releaseMode === 'tombstone' ? 'Tombstoned' : 'Deleted'} ${released.length} URL entries`, { channelId: selector.threadId });
+        }
+        return released.length;
+    }
+
+    releaseMessages(messageIds) {
+        return this.release({ messageIds });
+    }
+
+    releaseThread(threadId) {
+        return this.release({ threadId });
+    }
+
+    // Live entries stored for one message, whether saved when it was posted or backfilled
+    async getUrlsForMessage(messageId) {
+        if (!this.isInitialized) {
+            log.error('URL storage not initialized');
             return [];
         }
-        return this.urls.get(channelId) || [];
+        return this.backend.getLiveUrlsForMessage(messageId);
     }
 
-    async cleanup() {
+    async getUrls(channelId) {
         if (!this.isInitialized) {
-            logWithTimestamp('URL storage not initialized', 'ERROR');
-            return;
+            log.error('URL storage not initialized');
+            return [];
+        }
+        return this.backend.getUrls(channelId);
+    }
+
+    async getUrlsByUser(userId) {
+        if (!this.isInitialized) {
+            log.error('URL storage not initialized');
+            return [];
         }
+        return this.backend.getUrlsByUser(userId);
+    }
 
-        const maxAge = 30 * 24 * 60 * 60 * 1000; // 30 days
-        const now = Date.now();
-        let totalRemoved = 0;
+    // Every record matching the filter as { channelId, ...record }, oldest first (see urlExport.js).
+    // filter: { threadIds, userId, from, to (timestamps, to is exclusive), includeDeleted }
+    async exportUrls({ threadIds = null, userId = null, from = null, to = null, includeDeleted = false } = {}) {
+        if (!this.isInitialized) {
+            log.error('URL storage not initialized');
+            return [];
+        }
 
-        for (const [channelId, urls] of this.urls.entries()) {
-            const originalLength = urls.length;
-            const filteredUrls = urls.filter(url => now - url.timestamp < maxAge);
-            if (filteredUrls.length !== originalLength) {
-                this.urls.set(channelId, filteredUrls);
-                totalRemoved += originalLength - filteredUrls.length;
+        const threads = threadIds ? new Set(threadIds) : null;
+        const records = [];
+        for (const [channelId, urls] of Object.entries(await this.backend.getAll())) {
+            for (const entry of urls) {
+                if (threads && !threads.has(entry.threadId || channelId)) continue;
+                if (userId && entry.userId !== userId) continue;
+                if (from !== null && entry.timestamp < from) continue;
+                if (to !== null && entry.timestamp >= to) continue;
+                if (entry.deletedAt && !includeDeleted) continue;
+                records.push({ channelId, ...entry });
             }
         }
+        return records.sort((a, b) => a.timestamp - b.timestamp);
+    }
 
-        if (totalRemoved > 0) {
+    // Migrates records about to be imported to the current schema and checks them against
+    // urlRecord.js. Returns them grouped by storage channel, throws listing the invalid ones.
+    prepareImport(records) {
+        const byChannel = new Map(); // channelId -> records
+        const problems = [];
+        records.forEach((record, index) => {
+            const { channelId: storedIn, ...entry } = record;
+            const channelId = storedIn || entry.threadId;
             try {
-                const urlData = Object.fromEntries(this.urls);
-                await fs.writeFile(this.storageFile, JSON.stringify(urlData, null, 2));
-                logWithTimestamp(`Cleaned up ${totalRemoved} old URLs`, 'INFO');
+                if (!channelId) throw new Error('channelId or threadId is required');
+                if (typeof entry.url !== 'string') throw new Error('url is required');
+                migrateRecord(entry, channelId);
+                validateUrlRecord(this.withUrlKeys(entry));
+                if (!byChannel.has(channelId)) byChannel.set(channelId, []);
+                byChannel.get(channelId).push(entry);
             } catch (error) {
-                logWithTimestamp(`Error during URL cleanup: ${error.message}`, 'ERROR');
+                problems.push(`record ${index + 1}: ${error.message}`);
             }
+        });
+
+        if (problems.length > 0) {
+            const shown = problems.slice(0, 10);
+            if (problems.length > shown.length) shown.push(`...and ${problems.length - shown.length} more`);
+            throw new Error(`${problems.length} of ${records.length} records are invalid:\n${shown.join('\n')}`);
         }
+        return byChannel;
     }
 
-    async getAllChannelIds() {
-        return Array.from(this.urls.keys());
+    // Merges exported or backed up records into the registry, upserting on the record key like
+    // saveUrls. Nothing is written unless every record is valid. Returns { added, updated, unchanged }.
+    async importUrls(records) {
+        if (!this.isInitialized) {
+            throw new Error('URL storage not initialized');
+        }
+
+        const byChannel = this.prepareImport(records);
+        const result = { added: 0, updated: 0, unchanged: 0 };
+        for (const [channelId, entries] of byChannel) {
+            const saved = await this.saveUrls(channelId, entries);
+            result.added += saved.added;
+            result.updated += saved.updated;
+            result.unchanged += saved.unchanged;
+        }
+        log.info(`Imported ${records.length} URL records: ${result.added} added, ${result.updated} updated, ${result.unchanged} unchanged`, { registry: this.name });
+        return result;
     }
 
-    async getStats() {
-        const stats = {
-            totalUrls: 0,
-            channelCount: this.urls.size,
-            urlsPerChannel: {}
-        };
+    // Deletes the URLs older than the retention, nothing when it's 0. Tombstones and the records
+    // in keepRecordKeys (those with an open dispute) are kept.
+    async cleanup(keepRecordKeys = new Set()) {
+        if (!this.isInitialized) {
+            log.error('URL storage not initialized');
+            return;
+        }
+        if (!this.retention) return;
+
+        try {
+            const cutoff = Date.now() - this.retention;
+            const totalRemoved = await this.backend.deleteOlderThan(cutoff, keepRecordKeys);
+            if (totalRemoved > 0) {
+                log.info(`Cleaned up ${totalRemoved} old URLs`);
+                this.emit('cleanedUp', { removedCount: totalRemoved, cutoff });
+            }
+        } catch (error) {
+            log.error(`Error during URL cleanup: ${error.message}`);
+        }
+    }
+
+    // Two entries describe the same post when they share a message ID, or when one of
+    // them predates message ID tracking and both have the same poster and post time
+    isSamePost(a, b) {
+        if (a.messageId && b.messageId) {
+            return a.messageId === b.messageId;
+        }
+        const samePoster = a.userId && b.userId ? a.userId === b.userId : a.author === b.author;
+        return a.timestamp === b.timestamp && samePoster;
+    }
+
+    // Collapses the copies earlier startup syncs appended for the same post. Entries are merged
+    // into the earliest copy, so the first poster of a URL stays its owner.
+    async dedupe() {
+        if (!this.isInitialized) {
+            log.error('URL storage not initialized');
+            return { before: 0, after: 0 };
+        }
 
-        for (const [channelId, urls] of this.urls.entries()) {
-            stats.totalUrls += urls.length;
-            stats.urlsPerChannel[channelId] = urls.length;
+        const urlData = await this.backend.getAll();
+        const byCanonicalUrl = new Map();
+        let before = 0;
+
+        for (const [channelId, urls] of Object.entries(urlData)) {
+            for (const entry of urls) {
+                const keyedEntry = entry.recordKey ? entry : this.withUrlKeys(entry);
+                const group = byCanonicalUrl.get(keyedEntry.canonicalUrl) || [];
+                group.push({ channelId, entry: keyedEntry });
+                byCanonicalUrl.set(keyedEntry.canonicalUrl, group);
+                before++;
+            }
         }
 
-        return stats;
+        const deduped = {};
+        let after = 0;
+        for (const group of byCanonicalUrl.values()) {
+            group.sort((a, b) => a.entry.timestamp - b.entry.timestamp);
+            const kept = [];
+
+            for (const candidate of group) {
+                const original = kept.find(item => this.isSamePost(item.entry, candidate.entry));
+                if (!original) {
+                    kept.push({ channelId: candidate.channelId, entry: { ...candidate.entry } });
+                    continue;
+                }
+                for (const [field, value] of Object.entries(candidate.entry)) {
+                    if (original.entry[field] === undefined || original.entry[field] === null) {
+                        original.entry[field] = value;
+                    }
+                }
+            }
+
+            for (const { channelId, entry } of kept) {
+                entry.recordKey = this.getRecordKey(entry);
+                (deduped[channelId] = deduped[channelId] || []).push(entry);
+                after++;
+            }
+        }
+
+        for (const urls of Object.values(deduped)) {
+            urls.sort((a, b) => b.timestamp - a.timestamp);
+        }
+
+        if (after !== before) {
+            await this.backend.replaceAll(deduped);
+            log.info(`Deduplicated URL storage: ${before} entries collapsed to ${after}`);
+        }
+        return { before, after };
     }
 
-    shutdown() {
-        logWithTimestamp('URL storage shutting down', 'SHUTDOWN');
+    async getAllChannelIds() {
+        return this.backend.getChannelIds();
+    }
+
+    async getStats() {
+        return this.backend.getStats();
+    }
+
+    async shutdown() {
+        log.info('URL storage shutting down');
+        if (this.backend) {
+            await this.backend.close();
+        }
     }
 }
 
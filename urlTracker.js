@@ -1,30 +1,56 @@
-const { EmbedBuilder, ChannelType } = require('discord.js');
-const UrlStorage = require('./urlStore');
-const { logWithTimestamp } = require('./utils');
-const { DB_TIMEOUT } = require('./config');
+const ChannelBackfill = require('./backfill');
+const { logger, messageContext } = require('./logger');
+const DuplicateEnforcer = require('./duplicateEnforcer');
+const { messages } = require('./messageBuilder');
+const { DB_TIMEOUT, DUPLICATE_ACTIONS, DUPLICATE_GRACE_PERIOD } = require('./config');
+
+const log = logger.child({ module: 'urlTracker' });
+
+// Duplicate actions that remove the message or punish the member, held back by the grace period
+const GRACE_ACTIONS = ['delete', 'delete_dm', 'timeout'];
 
 class UrlTracker {
-    constructor(client) {
+    // The store is shared with the rest of the bot, never create a second instance for the same file.
+    // The services are optional: disputes (see disputes.js) and handleLinks (see handleLinks.js)
+    constructor(client, urlStore, auditLog, { disputes = null, handleLinks = null } = {}) {
         this.client = client;
-        this.urlStore = new UrlStorage();
+        this.urlStore = urlStore;
+        this.auditLog = auditLog;
+        this.handleLinks = handleLinks;
         this.urlRegex = /https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)/g;
+        this.backfill = new ChannelBackfill(client, this.urlRegex);
+        this.enforcer = new DuplicateEnforcer(auditLog, DUPLICATE_ACTIONS, disputes);
+    }
+
+    // Pages through the channel history (resuming from the stored cursors) and upserts every URL found
+    async backfillChannel(channelId, options = {}) {
+        const counts = { added: 0, updated: 0, unchanged: 0 };
+        const progress = await this.backfill.run(channelId, {
+            ...options,
+            onUrls: async urls => {
+                const result = await this.urlStore.saveUrls(channelId, urls);
+                counts.added += result.added;
+                counts.updated += result.updated;
+                counts.unchanged += result.unchanged;
+            }
+        });
+        return { ...progress, ...counts };
     }
 
     async syncWithStorage(channelId) {
         try {
-            const urls = await this.fetchAllUrlsFromChannel(channelId);
-            if (urls.length > 0) {
-                await this.urlStore.saveUrls(channelId, urls);
-                logWithTimestamp(`Synced ${urls.length} URLs for channel ${channelId}`, 'INFO');
-            }
+            const result = await this.backfillChannel(channelId);
+            log.info(`Synced channel: ${result.added} added, ${result.updated} updated, ${result.unchanged} unchanged`, { channelId });
         } catch (error) {
-            logWithTimestamp(`Error syncing channel ${channelId}: ${error.message}`, 'ERROR');
+            log.error(`Error syncing channel: ${error.message}`, { channelId });
         }
     }
 
     async init() {
         try {
-            await this.urlStore.init();
+            if (!this.urlStore.isInitialized) {
+                await this.urlStore.init();
+            }
             
             // Sync with all channels in storage
             const channelIds = await this.urlStore.getAllChannelIds();
@@ -32,165 +58,154 @@ class UrlTracker {
                 await this.syncWithStorage(channelId);
             }
             
-            logWithTimestamp('URL Tracker initialized successfully', 'INFO');
+            log.info('URL Tracker initialized successfully');
         } catch (error) {
-            logWithTimestamp(`Failed to initialize URL Tracker: ${error.message}`, 'ERROR');
+            log.error(`Failed to initialize URL Tracker: ${error.message}`);
             throw error;
         }
     }
 
-    async handleUrlMessage(message, urls) {
-    try {
-        for (const url of urls) {
-            logWithTimestamp(`Checking URL: ${url}`, 'INFO');
-            const existingUrl = await this.urlStore.findUrlHistory(url);
-            
-            if (existingUrl) {
-                logWithTimestamp(`Found existing URL: ${url} from author: ${existingUrl.author}`, 'INFO');
-                
-                // Check if the original poster is the same as current author
-                if (existingUrl.author !== message.author.tag) {
-                    // Different author - not allowed
-                    const embed = new EmbedBuilder()
-                        .setColor('#ff0000')
-                        .setTitle(`${message.author}, Only your own content is allowed`) // Added user mention in title
-                        .setDescription(`This URL was previously shared by another user on <t:${Math.floor(new Date(existingUrl.timestamp).getTime() / 1000)}:R>`)
-                        .addFields(
-                            { name: 'Original Poster', value: existingUrl.author || 'Unknown' },
-                            { name: 'Original Channel', value: `<#${existingUrl.channelId}>` },
-                            { name: 'URL', value: url }
-                        )
-                        .setFooter({
-                            text: 'Botanix Labs',
-                            iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-                        })
-                        .setTimestamp();
-
-                    await message.reply({ embeds: [embed] });
-                    logWithTimestamp(`Sent duplicate URL notification for: ${url}`, 'INFO');
-                } else {
-                    // Same author - check if same thread
-                    if (existingUrl.channelId !== message.channel.id) {
-                        // Different thread
-                        const embed = new EmbedBuilder()
-                            .setColor('#ff0000')
-                            .setTitle(`${message.author}, You have posted this before`) // Added user mention in title
-                            .setDescription(`You shared this URL in a different thread on <t:${Math.floor(new Date(existingUrl.timestamp).getTime() / 1000)}:R>`)
-                            .addFields(
-                                { name: 'Original Thread', value: `<#${existingUrl.channelId}>` },
-                                { name: 'URL', value: url }
-                            )
-                            .setFooter({
-                                text: 'Botanix Labs',
-                                iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-                            })
-                            .setTimestamp();
-
-                        await message.reply({ embeds: [embed] });
-                        logWithTimestamp(`Sent same-author different-thread notification for: ${url}`, 'INFO');
-                    } else {
-                        // Same thread - check if original message exists
-                        const originalMessage = await message.channel.messages
-                            .fetch(existingUrl.messageId)
-                            .catch(() => null);
-
-                        if (originalMessage) {
-                            // Original message still exists
-                            const embed = new EmbedBuilder()
-                                .setColor('#ff0000')
-                                .setTitle(`${message.author}, You have posted this before`) // Added user mention in title
-                                .setDescription(`You already shared this URL in this thread on <t:${Math.floor(new Date(existingUrl.timestamp).getTime() / 1000)}:R>`)
-                                .addFields(
-                                    { name: 'Original Message', value: `[Click to view](${originalMessage.url})` },
-                                    { name: 'URL', value: url }
-                                )
-                                .setFooter({
-                                    text: 'Botanix Labs',
-                                    iconURL: 'https://a-us.storyblok.com/f/1014909/512x512/026e26392f/dark_512-1.png'
-                                })
-                                .setTimestamp();
-
-                            await message.reply({ embeds: [embed] });
-                            logWithTimestamp(`Sent same-thread notification for: ${url}`, 'INFO');
-                        } else {
-                            // Original message is gone - delete the entry
-                            await this.urlStore.deleteUrl(url);
-                            logWithTimestamp(`Deleted old URL entry as original message no longer exists: ${url}`, 'INFO');
-                        }
-                    }
-                }
-            }
-        }
-    } catch (error) {
-        logWithTimestamp(`Error handling URL message: ${error.message}`, 'ERROR');
+    // Content key from the site extractors (e.g. "twitter:<id>"), falling back to the canonical URL
+    getContentKey(url) {
+        const { canonicalUrl, contentKey } = this.urlStore.getUrlKeys(url);
+        return contentKey || canonicalUrl;
     }
-}
 
-    async fetchAllUrlsFromChannel(channelId) {
-        const channel = await this.client.channels.fetch(channelId).catch(error => {
-            logWithTimestamp(`Failed to fetch channel: ${error.message}`, 'ERROR');
-            return null;
+    // Collapse URLs that point to the same content so a message is checked once per link
+    uniqueByContent(urls) {
+        const seen = new Set();
+        return urls.filter(url => {
+            const contentKey = this.getContentKey(url);
+            if (seen.has(contentKey)) return false;
+            seen.add(contentKey);
+            return true;
         });
+    }
 
-        if (!channel) {
-            logWithTimestamp(`Channel not found: ${channelId}`, 'ERROR');
-            return [];
+    // Ownership is decided by user ID, so renamed users still own their links. Records
+    // migrated from files without user IDs can only be compared by tag.
+    isOriginalPoster(existingUrl, user) {
+        return existingUrl.userId ? existingUrl.userId === user.id : existingUrl.author === user.tag;
+    }
+
+    // Returns { caseName, url, embed } when posting the URL breaks a duplicate rule, null otherwise.
+    // otherAuthor violations also carry the registry and the original record, for disputes.
+    // When the URL names an account a member linked (see handleLinks.js), that member is the
+    // creator: anyone else is flagged even on a first post, and the creator never is as otherAuthor.
+    async findViolation(message, url, notice = {}) {
+        log.debug(`Checking URL: ${url} (${this.getContentKey(url)})`, messageContext(message));
+        const creator = this.handleLinks?.findCreator(url);
+        if (creator && creator.userId !== message.author.id) {
+            return {
+                caseName: 'otherCreator',
+                url,
+                embed: messages.build('duplicate-other-creator', {
+                    member: `${message.author}`,
+                    platform: creator.platform,
+                    handle: creator.handle,
+                    ownerId: creator.userId,
+                    url
+                }, notice)
+            };
         }
 
-        let urls = [];
-        try {
-            if (channel.type === ChannelType.GuildForum) {
-                const threads = await channel.threads.fetch();
-                
-                for (const [threadId, thread] of threads.threads) {
-                    const messages = await thread.messages.fetch({ limit: 100 });
-                    
-                    messages.forEach(message => {
-                        const foundUrls = message.content.match(this.urlRegex);
-                        if (foundUrls) {
-                            foundUrls.forEach(url => {
-                                urls.push({
-                                    url,
-                                    timestamp: message.createdTimestamp,
-                                    author: message.author.tag,
-                                    threadName: thread.name
-                                });
-                            });
-                        }
-                    });
-                }
-            } else {
-                const messages = await channel.messages.fetch({ limit: 100 });
-                
-                messages.forEach(message => {
-                    const foundUrls = message.content.match(this.urlRegex);
-                    if (foundUrls) {
-                        foundUrls.forEach(url => {
-                            urls.push({
-                                url,
-                                timestamp: message.createdTimestamp,
-                                author: message.author.tag
-                            });
-                        });
-                    }
-                });
+        const existingUrl = await this.urlStore.findUrlHistory(url);
+        // A check repeated for the same message (an edit, a retried job) finds its own record
+        if (!existingUrl || existingUrl.messageId === message.id) return null;
+
+        log.debug(`Found existing URL: ${url} from author: ${existingUrl.author}`, messageContext(message));
+        const vars = { member: `${message.author}`, postedAt: existingUrl.timestamp, url, originalThreadId: existingUrl.threadId };
+
+        if (!this.isOriginalPoster(existingUrl, message.author)) {
+            if (creator) {
+                log.debug(`${message.author.tag} linked @${creator.handle}, not flagging the earlier post by ${existingUrl.author}`, messageContext(message));
+                return null;
             }
-        } catch (error) {
-            logWithTimestamp(`Error fetching messages: ${error.message}`, 'ERROR');
-            return [];
+            return {
+                caseName: 'otherAuthor',
+                url,
+                registry: this.urlStore.name,
+                original: existingUrl,
+                embed: messages.build('duplicate-other-author', {
+                    ...vars,
+                    originalPoster: existingUrl.userId ? `<@${existingUrl.userId}>` : existingUrl.author || 'Unknown'
+                }, notice)
+            };
         }
 
-        urls = urls.filter((url, index, self) =>
-            index === self.findIndex((t) => t.url === url.url)
-        );
+        if (existingUrl.threadId !== message.channel.id) {
+            return {
+                caseName: 'otherThread',
+                url,
+                embed: messages.build('duplicate-self-other-thread', vars, notice)
+            };
+        }
 
-        logWithTimestamp(`Fetched ${urls.length} unique URLs from channel ${channelId}`, 'INFO');
-        return urls;
+        const originalMessage = await message.channel.messages
+            .fetch(existingUrl.messageId)
+            .catch(() => null);
+        if (!originalMessage) {
+            // Original message is gone - delete the entry
+            await this.urlStore.deleteUrl(url);
+            log.info(`Deleted old URL entry as original message no longer exists: ${url}`, { threadId: existingUrl.threadId, messageId: existingUrl.messageId });
+            await this.auditLog.record({
+                type: 'stale_entry_deleted',
+                reason: 'Original message no longer exists',
+                urls: [url],
+                userId: existingUrl.userId,
+                userTag: existingUrl.author,
+                channelId: existingUrl.threadId,
+                messageId: existingUrl.messageId
+            });
+            return null;
+        }
+
+        return {
+            caseName: 'sameThread',
+            url,
+            embed: messages.build('duplicate-self-same-thread', { ...vars, originalMessageUrl: originalMessage.url }, notice)
+        };
+    }
+
+    // Gives the author DUPLICATE_GRACE_PERIOD to edit duplicates out before their message is
+    // removed or they are timed out (GRACE_ACTIONS), except on relayed posts (see threadRelay.js)
+    // which only the webhook can edit. Warnings and logs aren't held back. Nothing waits here:
+    // the first check comes back deferred and the caller checks again with graceEnded once the
+    // period is over (see the enforce_duplicates job in notificator.js), passing the message as
+    // it is then. URLs edited out by that time are left out.
+    // Returns { removed, deferred, urls }: whether the message is gone, whether enforcing waits
+    // for the grace period, and the URLs it still contains.
+    // duplicateActions overrides the configured action per case for the message's forum,
+    // notice ({ branding, locale }) how its notices are rendered (see messageBuilder.js).
+    async handleUrlMessage(message, urls, duplicateActions = {}, notice = {}, { graceEnded = false } = {}) {
+        try {
+            if (graceEnded) {
+                const currentKeys = new Set((message.content.match(this.urlRegex) || []).map(url => this.getContentKey(url)));
+                urls = urls.filter(url => currentKeys.has(this.getContentKey(url)));
+            }
+
+            const violations = [];
+            for (const url of this.uniqueByContent(urls)) {
+                const violation = await this.findViolation(message, url, notice);
+                if (violation) violations.push(violation);
+            }
+
+            const removing = violations.some(violation => GRACE_ACTIONS.includes(this.enforcer.getAction(violation.caseName, duplicateActions)));
+            if (removing && !graceEnded && DUPLICATE_GRACE_PERIOD > 0 && !message.webhookId) {
+                log.debug(`Duplicate enforcement deferred by the ${DUPLICATE_GRACE_PERIOD / 1000}s grace period`, messageContext(message));
+                return { removed: false, deferred: true, urls };
+            }
+
+            const removed = await this.enforcer.enforce(message, violations, duplicateActions, notice.locale);
+            return { removed, deferred: false, urls: removed ? [] : urls };
+        } catch (error) {
+            log.error(`Error handling URL message: ${error.message}`, messageContext(message));
+            return { removed: false, deferred: false, urls };
+        }
     }
 
-    shutdown() {
-        logWithTimestamp('URL Tracker shutting down...', 'SHUTDOWN');
-        this.urlStore.shutdown();
+    async shutdown() {
+        log.info('URL Tracker shutting down...');
     }
 }
 